@@ -0,0 +1,120 @@
+'use babel'
+
+/**
+ * @file adaptive-scale.js
+ * Picks a render scale from measured frame times.
+ * Lowers the resolution when frames take too long and raises it back when there's headroom.
+ */
+
+/** Lowest render scale, also the lower end of the setting */
+export const MIN_SCALE = 0.25
+
+/** How long to average frame times before deciding (ms) */
+const WINDOW_MS = 1000
+
+/** Frames slower than this are pauses (hidden window, breakpoints), not load (ms) */
+const IGNORE_ABOVE_MS = 250
+
+/** Average frame time must stay below budget * HEADROOM to scale back up */
+const HEADROOM = 0.6
+
+/** How many calm windows in a row it takes to scale back up */
+const CALM_WINDOWS = 3
+
+/** Scale steps; scales are kept on multiples of this */
+const STEP = 0.05
+
+/**
+ * Adaptive render scale.
+ * Feed it the time between rendered frames; it steps the scale down quickly when the
+ * average goes over the budget and creeps back up slowly, never above the configured scale.
+ */
+export default class AdaptiveScale {
+  /**
+   * Creates a new AdaptiveScale.
+   * @param {Object} [options]
+   * @param {number} [options.maxScale=1] - Configured render scale, the upper limit
+   * @param {number} [options.budgetMs=20] - Frame time budget
+   * @param {boolean} [options.enabled=false] - Whether to adapt at all
+   */
+  constructor({ maxScale = 1, budgetMs = 20, enabled = false } = {}) {
+    this.scale = 1
+    this._reset()
+    this.configure({ maxScale, budgetMs, enabled })
+  }
+
+  /**
+   * Updates the settings. Jumps back to the configured scale and starts measuring afresh.
+   * @param {Object} options
+   * @param {number} [options.maxScale] - Configured render scale
+   * @param {number} [options.budgetMs] - Frame time budget
+   * @param {boolean} [options.enabled] - Whether to adapt
+   */
+  configure({ maxScale = this.maxScale, budgetMs = this.budgetMs, enabled = this.enabled }) {
+    this.maxScale = clampScale(maxScale)
+    this.budgetMs = budgetMs > 0 ? budgetMs : 20
+    this.enabled = !!enabled
+    this.scale = this.maxScale
+    this._reset()
+  }
+
+  /**
+   * Records the time one frame took and maybe changes the scale.
+   * @param {number} frameMs - Time since the previous rendered frame
+   * @param {number} nowMs - Current time, e.g. performance.now()
+   * @returns {number|null} The new scale if it changed, otherwise null
+   */
+  sample(frameMs, nowMs) {
+    if (!this.enabled || !(frameMs > 0) || frameMs > IGNORE_ABOVE_MS) return null
+    if (this._windowStart === null) this._windowStart = nowMs
+    this._total += frameMs
+    this._count++
+    if (nowMs - this._windowStart < WINDOW_MS) return null
+
+    const average = this._total / this._count
+    this._windowStart = nowMs
+    this._total = 0
+    this._count = 0
+
+    let next = this.scale
+    if (average > this.budgetMs) {
+      this._calm = 0
+      next = clampScale(Math.min(this.scale - STEP, this.scale * this.budgetMs / average), this.maxScale)
+    } else if (average < this.budgetMs * HEADROOM) {
+      if (++this._calm >= CALM_WINDOWS) {
+        this._calm = 0
+        next = clampScale(this.scale + STEP, this.maxScale)
+      }
+    } else {
+      this._calm = 0
+    }
+
+    if (next === this.scale) return null
+    this.scale = next
+    return next
+  }
+
+  /**
+   * Clears the measurements.
+   * @private
+   */
+  _reset() {
+    this._windowStart = null
+    this._total = 0
+    this._count = 0
+    this._calm = 0
+  }
+}
+
+/**
+ * Rounds a scale to the step size and keeps it in range.
+ * @param {number} scale - Any scale
+ * @param {number} [max=1] - Upper limit
+ * @returns {number} Scale between MIN_SCALE and max
+ */
+export function clampScale(scale, max = 1) {
+  const n = Number(scale)
+  if (!isFinite(n)) return max
+  const rounded = Math.round(n / STEP) * STEP
+  return Math.min(max, Math.max(MIN_SCALE, Math.round(rounded * 100) / 100))
+}
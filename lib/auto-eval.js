@@ -0,0 +1,215 @@
+'use babel'
+
+/**
+ * @file auto-eval.js
+ * "Eval as you type" for Punctual editors.
+ * Re-evaluates the current block after a debounced edit or on save.
+ */
+
+import { CompositeDisposable, Disposable } from 'atom'
+
+/** Config key holding the auto-eval settings */
+const BASE_KEY = 'pulsar-punctual.evaluation'
+
+/**
+ * Watches Punctual editors and re-evaluates the block under the cursor as you type.
+ * Doesn't evaluate anything itself: it hands the editor and trigger to a callback,
+ * which is expected to keep the running program when the new code doesn't parse.
+ */
+export default class AutoEval {
+  /**
+   * Creates a new AutoEval.
+   * @param {Object} options
+   * @param {Function} options.isPunctualEditor - Returns true for editors that should be watched
+   * @param {Function} options.onEvaluate - Called with (editor, trigger) where trigger is 'change' or 'save'
+   * @param {Function} [options.log] - Optional logging function that takes (message, cssClass) parameters
+   */
+  constructor({ isPunctualEditor, onEvaluate, log = () => {} }) {
+    this.isPunctualEditor = isPunctualEditor
+    this.onEvaluate = onEvaluate
+    this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
+    this.subscriptions = new CompositeDisposable()
+    this.statusTile = null
+    this.statusElement = null
+    this._observer = null
+    this._editorWatchers = new Map()
+    this._editorSubscriptions = new Map()
+    this._timers = new Map()
+
+    this.subscriptions.add(atom.config.observe(`${BASE_KEY}.autoEval`, (enabled) => {
+      if (enabled) this._watch()
+      else this._unwatch()
+      this._updateStatus()
+    }))
+  }
+
+  /**
+   * Checks whether auto-eval is switched on.
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return !!atom.config.get(`${BASE_KEY}.autoEval`)
+  }
+
+  /**
+   * Switches auto-eval on or off. The setting is saved, so it sticks across sessions.
+   */
+  toggle() {
+    const enabled = !this.isEnabled()
+    atom.config.set(`${BASE_KEY}.autoEval`, enabled)
+    this.log('Auto-eval ' + (enabled ? 'on' : 'off'), 'text-info')
+  }
+
+  /**
+   * Adds the auto-eval indicator to the status bar.
+   * @param {Object} statusBar - The status-bar service
+   * @returns {Disposable} Removes the tile again
+   */
+  attachStatusBar(statusBar) {
+    this.statusElement = document.createElement('span')
+    this.statusElement.classList.add('punctual-status', 'punctual-status--auto-eval', 'inline-block')
+    this.statusElement.textContent = 'Punctual: auto-eval'
+    this.statusElement.addEventListener('click', () => this.toggle())
+    this.statusTile = statusBar.addLeftTile({ item: this.statusElement, priority: 200 })
+    this._updateStatus()
+    return new Disposable(() => {
+      if (this.statusTile) this.statusTile.destroy()
+      this.statusTile = null
+      this.statusElement = null
+    })
+  }
+
+  /**
+   * Stops watching editors and removes the status indicator.
+   */
+  dispose() {
+    this._unwatch()
+    this.subscriptions.dispose()
+    if (this.statusTile) this.statusTile.destroy()
+    this.statusTile = null
+    this.statusElement = null
+  }
+
+  /**
+   * Starts watching all current and future editors. Only Punctual editors get evaluated;
+   * the check is repeated when an editor's grammar or path changes (e.g. saved as .punc).
+   * @private
+   */
+  _watch() {
+    if (this._observer) return
+    this._observer = atom.workspace.observeTextEditors((editor) => {
+      if (this._editorWatchers.has(editor.id)) return
+      const watcher = new CompositeDisposable()
+      watcher.add(editor.onDidChangeGrammar(() => this._refreshEditor(editor)))
+      watcher.add(editor.onDidChangePath(() => this._refreshEditor(editor)))
+      watcher.add(editor.onDidDestroy(() => {
+        this._detach(editor)
+        watcher.dispose()
+        this._editorWatchers.delete(editor.id)
+      }))
+      this._editorWatchers.set(editor.id, watcher)
+      this._refreshEditor(editor)
+    })
+  }
+
+  /**
+   * Starts or stops auto-eval for an editor depending on whether it's (still) a Punctual editor.
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   */
+  _refreshEditor(editor) {
+    const watched = this._editorSubscriptions.has(editor.id)
+    const punctual = this.isPunctualEditor(editor)
+    if (punctual && !watched) this._attach(editor)
+    else if (!punctual && watched) this._detach(editor)
+  }
+
+  /**
+   * Evaluates an editor after edits and/or on save.
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   */
+  _attach(editor) {
+    const subs = new CompositeDisposable()
+    subs.add(editor.onDidChange(() => this._schedule(editor)))
+    subs.add(editor.onDidSave(() => {
+      if (this._trigger() === 'change') return
+      this._cancel(editor)
+      this.onEvaluate(editor, 'save')
+    }))
+    this._editorSubscriptions.set(editor.id, subs)
+  }
+
+  /**
+   * Stops evaluating an editor and cancels its pending evaluation.
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   */
+  _detach(editor) {
+    this._cancel(editor)
+    const subs = this._editorSubscriptions.get(editor.id)
+    if (subs) subs.dispose()
+    this._editorSubscriptions.delete(editor.id)
+  }
+
+  /**
+   * Stops watching editors and cancels any pending evaluation.
+   * @private
+   */
+  _unwatch() {
+    if (this._observer) {
+      this._observer.dispose()
+      this._observer = null
+    }
+    for (const watcher of this._editorWatchers.values()) watcher.dispose()
+    this._editorWatchers.clear()
+    for (const subs of this._editorSubscriptions.values()) subs.dispose()
+    this._editorSubscriptions.clear()
+    for (const timer of this._timers.values()) clearTimeout(timer)
+    this._timers.clear()
+  }
+
+  /**
+   * Debounces an evaluation after an edit.
+   * @private
+   * @param {Object} editor - The Atom TextEditor that changed
+   */
+  _schedule(editor) {
+    if (this._trigger() === 'save') return
+    this._cancel(editor)
+    const delay = atom.config.get(`${BASE_KEY}.autoEvalDelay`) || 500
+    this._timers.set(editor.id, setTimeout(() => {
+      this._timers.delete(editor.id)
+      if (!editor.isDestroyed()) this.onEvaluate(editor, 'change')
+    }, delay))
+  }
+
+  /**
+   * Cancels a pending debounced evaluation for an editor.
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   */
+  _cancel(editor) {
+    const timer = this._timers.get(editor.id)
+    if (timer) clearTimeout(timer)
+    this._timers.delete(editor.id)
+  }
+
+  /**
+   * Reads which events trigger auto-eval.
+   * @private
+   * @returns {string} 'change', 'save' or 'both'
+   */
+  _trigger() {
+    return atom.config.get(`${BASE_KEY}.autoEvalTrigger`) || 'both'
+  }
+
+  /**
+   * Shows or hides the status bar indicator to match the setting.
+   * @private
+   */
+  _updateStatus() {
+    if (!this.statusElement) return
+    this.statusElement.style.display = this.isEnabled() ? '' : 'none'
+  }
+}
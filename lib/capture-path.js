@@ -0,0 +1,41 @@
+'use babel'
+
+/**
+ * @file capture-path.js
+ * Where recordings and snapshots are saved.
+ * Next to the file being performed, or in a configured folder.
+ */
+
+const os = require('os')
+const path = require('path')
+
+/**
+ * Builds the path for a new capture file, named after the source file and the time,
+ * e.g. `~/sets/opener-20250301-213045.webm`.
+ *
+ * @param {Object} options
+ * @param {string|null} [options.sourcePath] - The .punc file being performed, if saved
+ * @param {string|null} [options.folder] - Configured output folder; wins over the source folder. `~` is expanded
+ * @param {string} options.ext - File extension without the dot
+ * @param {Date} [options.date] - Time to put in the name
+ * @returns {string} Absolute path for the capture
+ */
+export function capturePath({ sourcePath = null, folder = null, ext, date = new Date() }) {
+  const home = os.homedir()
+  let dir = folder ? folder.replace(/^~(?=$|\/)/, home) : null
+  if (!dir) dir = sourcePath ? path.dirname(sourcePath) : home
+  const base = sourcePath ? path.basename(sourcePath, path.extname(sourcePath)) : 'punctual'
+  return path.resolve(dir, `${base}-${timestamp(date)}.${ext}`)
+}
+
+/**
+ * Formats a date as YYYYMMDD-HHMMSS in local time.
+ *
+ * @param {Date} date - The date
+ * @returns {string} The timestamp
+ */
+export function timestamp(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+}
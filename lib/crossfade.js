@@ -0,0 +1,72 @@
+'use babel'
+
+/**
+ * @file crossfade.js
+ * Crossfade control for Punctual program transitions.
+ * Reads `-- xfade N` directives and adds `<> N` to outputs that don't set their own fade.
+ */
+
+import { maskText, splitStatements } from './scanner.js'
+
+/** Matches a crossfade directive comment, e.g. `-- xfade 8` or `-- xfade 0.5` */
+const XFADE_DIRECTIVE = /^\s*--\s*xfade\s*[:=]?\s*(\d+(?:\.\d+)?)\s*$/im
+
+/** Matches a literal crossfade on an output, e.g. `<> 8` */
+const FADE_LITERAL = /<>\s*(\d+(?:\.\d+)?|\.\d+)/g
+
+/**
+ * Looks for a crossfade directive comment in a piece of code.
+ *
+ * @param {string} text - Punctual source
+ * @returns {number|null} The fade time in seconds, or null if there's no directive
+ */
+export function parseXfadeDirective(text) {
+  if (typeof text !== 'string') return null
+  const match = XFADE_DIRECTIVE.exec(text)
+  return match ? parseFloat(match[1]) : null
+}
+
+/**
+ * Adds a crossfade to every output statement that doesn't already have one.
+ * An output statement is one containing `>>`; statements with their own `<>` are left alone.
+ * The fade goes right after the last bit of code in the statement, before any trailing comment.
+ *
+ * @param {string} text - Punctual source
+ * @param {number} seconds - Fade time in seconds
+ * @returns {string} The source with fades added
+ */
+export function applyCrossfade(text, seconds) {
+  if (!(typeof seconds === 'number' && isFinite(seconds) && seconds > 0)) return text
+  const masked = maskText(text)
+  const insertAt = []
+  for (const { start, end } of splitStatements(text)) {
+    const segment = masked.slice(start, end)
+    if (!/>>/.test(segment) || /<>/.test(segment)) continue
+    const lastCode = segment.search(/\S\s*$/)
+    if (lastCode < 0) continue
+    insertAt.push(start + lastCode + 1)
+  }
+
+  let out = text
+  for (let i = insertAt.length - 1; i >= 0; i--) {
+    const pos = insertAt[i]
+    out = out.slice(0, pos) + ' <> ' + seconds + out.slice(pos)
+  }
+  return out
+}
+
+/**
+ * Finds the longest literal crossfade in a program, i.e. how long until it has fully taken over.
+ * Fades written as expressions rather than plain numbers aren't counted.
+ *
+ * @param {string} text - Punctual source, usually after applyCrossfade()
+ * @returns {number} The longest fade in seconds, or 0 if there's none
+ */
+export function longestFade(text) {
+  if (typeof text !== 'string') return 0
+  let longest = 0
+  for (const match of maskText(text).matchAll(FADE_LITERAL)) {
+    longest = Math.max(longest, parseFloat(match[1]))
+  }
+  return longest
+}
@@ -0,0 +1,34 @@
+'use babel'
+
+/**
+ * @file device-picker.js
+ * Modal select list for picking an audio device.
+ * Used for both the input and the output device.
+ */
+
+import SelectPicker, { twoLineItem } from './select-picker.js'
+
+/**
+ * Creates the audio device picker.
+ * show() takes `{name, value, detail, current}` items; `value` is what gets saved in the settings.
+ *
+ * @returns {SelectPicker} The picker
+ */
+export default function createDevicePicker() {
+  return new SelectPicker({
+    emptyMessage: 'No audio devices found',
+    filterKeyForItem: (item) => item.name,
+    elementForItem,
+    className: 'punctual-device-picker'
+  })
+}
+
+/**
+ * Builds the list element for one device.
+ *
+ * @param {{name: string, detail: string, current: boolean}} item - The device item
+ * @returns {HTMLElement} The list item
+ */
+function elementForItem(item) {
+  return twoLineItem(item.name, (item.detail || '') + (item.current ? (item.detail ? ' · ' : '') + 'current' : ''))
+}
@@ -0,0 +1,149 @@
+'use babel'
+
+/**
+ * @file error-markers.js
+ * Inline error decorations for Punctual code.
+ * Maps error positions from evaluated snippets back to buffer ranges.
+ */
+
+/** Matches the position Punctual's parser reports, e.g. `(line 2, column 14)` */
+const ERROR_POSITION = /line\s+(\d+)\s*,\s*col(?:umn)?\s+(\d+)/i
+
+/**
+ * Shows Punctual errors inside the editor.
+ * Underlines the offending spot and puts an icon in the gutter; markers stay
+ * until the next successful evaluation from the same editor.
+ */
+export default class ErrorMarkers {
+  /**
+   * Creates a new ErrorMarkers instance.
+   */
+  constructor() {
+    /**
+     * Markers currently shown, keyed by editor id
+     * @type {Map<number, Array<Object>>}
+     * @private
+     */
+    this._markers = new Map()
+  }
+
+  /**
+   * Pulls a 1-based line/column position out of a Punctual error message.
+   *
+   * @param {string} message - The error message
+   * @returns {{line: number, column: number}|null} The position, or null if the message doesn't have one
+   */
+  parsePosition(message) {
+    const match = ERROR_POSITION.exec(String(message || ''))
+    if (!match) return null
+    return { line: parseInt(match[1], 10), column: parseInt(match[2], 10) }
+  }
+
+  /**
+   * Translates a position inside an evaluated snippet into a buffer position.
+   * Only the first line of the snippet is shifted by the origin's column.
+   *
+   * @param {{line: number, column: number}} position - 1-based position inside the snippet
+   * @param {{row: number, column: number}} origin - Buffer position where the snippet starts
+   * @returns {{row: number, column: number}} 0-based buffer position
+   */
+  toBufferPosition(position, origin) {
+    const row = origin.row + position.line - 1
+    const column = (position.line === 1 ? origin.column : 0) + Math.max(0, position.column - 1)
+    return { row, column }
+  }
+
+  /**
+   * Shows an error at a known position inside the evaluated code.
+   * Replaces any markers already shown there. Without a position, only the first
+   * line of the evaluated code gets the gutter icon.
+   *
+   * @param {Object} editor - The Atom TextEditor the code came from
+   * @param {{row: number, column: number}} origin - Buffer position where the evaluated code starts
+   * @param {{line: number, column: number}|null} position - 1-based position inside the evaluated code, or null
+   * @returns {{row: number, column: number}|null} The buffer position of the error, if known
+   */
+  showAt(editor, origin, position) {
+    if (!editor || !origin) return null
+    this.clear(editor)
+
+    const markers = []
+    let start = null
+
+    if (position) {
+      start = this._clip(editor, this.toBufferPosition(position, origin))
+      const end = this._tokenEnd(editor, start)
+      // errors at the end of a line get the last character underlined instead of nothing
+      if (end.column === start.column && start.column > 0) start = { row: start.row, column: start.column - 1 }
+      const marker = editor.markBufferRange([[start.row, start.column], [end.row, end.column]], { invalidate: 'touch' })
+      editor.decorateMarker(marker, { type: 'highlight', class: 'punctual-error' })
+      editor.decorateMarker(marker, { type: 'line-number', class: 'punctual-error' })
+      markers.push(marker)
+    } else {
+      const row = this._clip(editor, { row: origin.row, column: 0 }).row
+      const marker = editor.markBufferRange([[row, 0], [row, 0]], { invalidate: 'never' })
+      editor.decorateMarker(marker, { type: 'line-number', class: 'punctual-error' })
+      markers.push(marker)
+    }
+
+    this._markers.set(editor.id, markers)
+    return start
+  }
+
+  /**
+   * Removes all error markers from an editor.
+   *
+   * @param {Object} editor - The Atom TextEditor instance
+   */
+  clear(editor) {
+    if (!editor) return
+    const markers = this._markers.get(editor.id)
+    if (!markers) return
+    for (const marker of markers) {
+      try { marker.destroy() } catch (_) {}
+    }
+    this._markers.delete(editor.id)
+  }
+
+  /**
+   * Removes error markers from every editor.
+   */
+  clearAll() {
+    for (const markers of this._markers.values()) {
+      for (const marker of markers) {
+        try { marker.destroy() } catch (_) {}
+      }
+    }
+    this._markers.clear()
+  }
+
+  /**
+   * Keeps a position inside the buffer.
+   *
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   * @param {{row: number, column: number}} pos - The position to clip
+   * @returns {{row: number, column: number}} The clipped position
+   */
+  _clip(editor, pos) {
+    const clipped = editor.getBuffer().clipPosition([pos.row, pos.column])
+    return { row: clipped.row, column: clipped.column }
+  }
+
+  /**
+   * Finds where the token starting at a position ends, so the underline covers it.
+   * Falls back to a single character, or nothing at the very end of a line.
+   *
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   * @param {{row: number, column: number}} start - Where the token starts
+   * @returns {{row: number, column: number}} Where the token ends
+   */
+  _tokenEnd(editor, start) {
+    const line = editor.lineTextForBufferRow(start.row) || ''
+    const rest = line.slice(start.column)
+    const match = /^\S+/.exec(rest)
+    if (match) return { row: start.row, column: start.column + match[0].length }
+    return { row: start.row, column: Math.min(line.length, start.column + 1) }
+  }
+}
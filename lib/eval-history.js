@@ -0,0 +1,154 @@
+'use babel'
+
+/**
+ * @file eval-history.js
+ * Per-zone history of programs that Punctual accepted.
+ * Backs the revert/back/forward commands and the history picker.
+ */
+
+/** How many programs to keep per zone when the setting is missing */
+const DEFAULT_SIZE = 50
+
+/**
+ * Remembers successfully defined programs for each zone.
+ * Each zone has a list of entries (oldest first) and a cursor pointing at the
+ * program that is currently running in that zone.
+ */
+export default class EvalHistory {
+  /**
+   * Creates a new EvalHistory.
+   */
+  constructor() {
+    /**
+     * Entries and cursor for each zone
+     * @type {Map<number, {entries: Array<{text: string, label: string, filePath: string|null, time: number}>, cursor: number}>}
+     * @private
+     */
+    this._zones = new Map()
+  }
+
+  /**
+   * Records a program that was just defined in a zone and points the cursor at it.
+   * Evaluating the same text twice in a row doesn't add a duplicate entry.
+   *
+   * @param {number} zone - The zone the program was defined in
+   * @param {string} text - The program text
+   * @param {string} [label] - Where the program came from (e.g. the editor title)
+   * @param {string|null} [filePath] - File the program belongs to, so includes resolve the same way later
+   */
+  push(zone, text, label = '', filePath = null) {
+    const state = this._stateFor(zone)
+    const last = state.entries[state.entries.length - 1]
+    if (last && last.text === text) {
+      last.time = Date.now()
+      state.cursor = state.entries.length - 1
+      return
+    }
+    state.entries.push({ text, label, filePath, time: Date.now() })
+    const max = this._maxSize()
+    if (state.entries.length > max) {
+      state.entries.splice(0, state.entries.length - max)
+    }
+    state.cursor = state.entries.length - 1
+  }
+
+  /**
+   * Gets all entries recorded for a zone, oldest first.
+   *
+   * @param {number} zone - The zone number
+   * @returns {Array<{text: string, label: string, filePath: string|null, time: number}>} The entries
+   */
+  entries(zone) {
+    const state = this._zones.get(zone)
+    return state ? state.entries.slice() : []
+  }
+
+  /**
+   * Gets the index of the entry currently running in a zone.
+   *
+   * @param {number} zone - The zone number
+   * @returns {number} The cursor index, or -1 if the zone has no history
+   */
+  cursor(zone) {
+    const state = this._zones.get(zone)
+    return state ? state.cursor : -1
+  }
+
+  /**
+   * Looks up the entry next to the cursor without moving it.
+   *
+   * @param {number} zone - The zone number
+   * @param {number} delta - -1 for back, +1 for forward
+   * @returns {{index: number, entry: Object}|null} The neighbouring entry, or null at either end
+   */
+  peek(zone, delta) {
+    const state = this._zones.get(zone)
+    if (!state) return null
+    const index = state.cursor + delta
+    if (index < 0 || index >= state.entries.length) return null
+    return { index, entry: state.entries[index] }
+  }
+
+  /**
+   * Looks up the last good program before the newest one, wherever the cursor is.
+   *
+   * @param {number} zone - The zone number
+   * @returns {{index: number, entry: Object}|null} The entry, or null if there's fewer than two
+   */
+  previousOfLatest(zone) {
+    const state = this._zones.get(zone)
+    if (!state || state.entries.length < 2) return null
+    const index = state.entries.length - 2
+    return { index, entry: state.entries[index] }
+  }
+
+  /**
+   * Moves the cursor of a zone to a given entry.
+   *
+   * @param {number} zone - The zone number
+   * @param {number} index - The entry index
+   */
+  moveTo(zone, index) {
+    const state = this._zones.get(zone)
+    if (!state || index < 0 || index >= state.entries.length) return
+    state.cursor = index
+  }
+
+  /**
+   * Forgets the history of every zone.
+   */
+  reset() {
+    this._zones.clear()
+  }
+
+  /**
+   * Gets (or creates) the state for a zone.
+   *
+   * @private
+   * @param {number} zone - The zone number
+   * @returns {{entries: Array<Object>, cursor: number}} The zone's state
+   */
+  _stateFor(zone) {
+    let state = this._zones.get(zone)
+    if (!state) {
+      state = { entries: [], cursor: -1 }
+      this._zones.set(zone, state)
+    }
+    return state
+  }
+
+  /**
+   * Reads the history size setting.
+   *
+   * @private
+   * @returns {number} Maximum entries per zone
+   */
+  _maxSize() {
+    try {
+      const size = atom.config.get('pulsar-punctual.evaluation.historySize')
+      return (typeof size === 'number' && size > 0) ? size : DEFAULT_SIZE
+    } catch (_) {
+      return DEFAULT_SIZE
+    }
+  }
+}
@@ -0,0 +1,37 @@
+'use babel'
+
+/**
+ * @file history-picker.js
+ * Modal select list for picking a previous Punctual program.
+ * Shows when each program was defined and a preview of its text.
+ */
+
+import SelectPicker, { twoLineItem } from './select-picker.js'
+
+/**
+ * Creates the history picker.
+ * show() takes `{zone, index, entry, current}` items, newest first.
+ *
+ * @returns {SelectPicker} The picker
+ */
+export default function createHistoryPicker() {
+  return new SelectPicker({
+    emptyMessage: 'No programs in history',
+    filterKeyForItem: (item) => item.entry.text,
+    elementForItem,
+    className: 'punctual-history-picker'
+  })
+}
+
+/**
+ * Builds the list element for one history entry.
+ *
+ * @param {{zone: number, entry: Object, current: boolean}} item - The history item
+ * @returns {HTMLElement} The list item
+ */
+function elementForItem(item) {
+  const firstLine = item.entry.text.split('\n').find(line => line.trim() && !/^\s*--/.test(line)) || item.entry.text.trim()
+  const when = new Date(item.entry.time).toLocaleTimeString()
+  const from = item.entry.label ? ' · ' + item.entry.label : ''
+  return twoLineItem(firstLine, 'zone ' + item.zone + ' · ' + when + from + (item.current ? ' · running' : ''))
+}
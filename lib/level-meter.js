@@ -0,0 +1,151 @@
+'use babel'
+
+/**
+ * @file level-meter.js
+ * Small audio level meter for the status bar.
+ * Polls a level source while running and draws a bar plus the peak in dBFS,
+ * and a limiter's gain reduction when the source reports one.
+ */
+
+import { Disposable } from 'atom'
+
+/** How often the meter is redrawn (ms) */
+const REFRESH_MS = 100
+
+/** Bottom of the meter scale (dBFS) */
+const FLOOR_DB = -60
+
+/** How much the displayed peak falls per refresh (dB), so short peaks stay readable */
+const FALLOFF_DB = 3
+
+/** How long the clip warning stays up after the last clip (ms) */
+const CLIP_HOLD_MS = 1000
+
+/**
+ * Converts a linear amplitude to dBFS.
+ * @param {number} value - Linear amplitude, 1 being full scale
+ * @returns {number} Level in dBFS, -Infinity for silence
+ */
+export function toDb(value) {
+  return value > 0 ? 20 * Math.log10(value) : -Infinity
+}
+
+/**
+ * Status bar level meter.
+ * Hidden until start() is called; the owner decides when there's something to meter.
+ */
+export default class LevelMeter {
+  /**
+   * Creates a new LevelMeter.
+   * @param {Object} options
+   * @param {string} options.label - Short label shown in front of the bar, e.g. 'IN'
+   * @param {Function} options.read - Returns {peak, rms} as linear amplitudes, or null when there's nothing to read.
+   *   May add `clip` (overrides the peak >= 0 dBFS check) and `reduction` (gain reduction in dB)
+   * @param {string} [options.title] - Tooltip
+   */
+  constructor({ label, read, title = '' }) {
+    this.label = label
+    this.read = read
+    this.title = title
+    this.statusTile = null
+    this.element = null
+    this._bar = null
+    this._text = null
+    this._reduction = null
+    this._timer = null
+    this._shownPeakDb = -Infinity
+    this._clipUntil = 0
+  }
+
+  /**
+   * Adds the meter to the status bar, hidden until start().
+   * @param {Object} statusBar - The status-bar service
+   * @param {number} [priority=198] - Tile priority
+   * @returns {Disposable} Removes the tile again
+   */
+  attachStatusBar(statusBar, priority = 198) {
+    this.element = document.createElement('span')
+    this.element.classList.add('punctual-meter', 'inline-block')
+    this.element.title = this.title
+
+    const label = document.createElement('span')
+    label.classList.add('punctual-meter__label')
+    label.textContent = this.label
+    const track = document.createElement('span')
+    track.classList.add('punctual-meter__track')
+    this._bar = document.createElement('span')
+    this._bar.classList.add('punctual-meter__bar')
+    track.appendChild(this._bar)
+    this._text = document.createElement('span')
+    this._text.classList.add('punctual-meter__value')
+    this._reduction = document.createElement('span')
+    this._reduction.classList.add('punctual-meter__reduction')
+
+    this.element.append(label, track, this._text, this._reduction)
+    this.statusTile = statusBar.addLeftTile({ item: this.element, priority })
+    this._refresh()
+    return new Disposable(() => {
+      if (this.statusTile) this.statusTile.destroy()
+      this.statusTile = null
+      this.element = null
+    })
+  }
+
+  /**
+   * Shows the meter and starts polling.
+   */
+  start() {
+    if (this._timer) return
+    this._shownPeakDb = -Infinity
+    this._clipUntil = 0
+    this._timer = setInterval(() => this._refresh(), REFRESH_MS)
+    this._refresh()
+  }
+
+  /**
+   * Stops polling and hides the meter.
+   */
+  stop() {
+    clearInterval(this._timer)
+    this._timer = null
+    this._refresh()
+  }
+
+  /**
+   * Stops polling and removes the tile.
+   */
+  dispose() {
+    this.stop()
+    if (this.statusTile) this.statusTile.destroy()
+    this.statusTile = null
+    this.element = null
+  }
+
+  /**
+   * Redraws the meter from the current level.
+   * @private
+   */
+  _refresh() {
+    if (!this.element) return
+    let level = null
+    if (this._timer) {
+      try { level = this.read() } catch (_) {}
+    }
+    this.element.style.display = level ? '' : 'none'
+    if (!level) return
+
+    const peakDb = toDb(level.peak)
+    this._shownPeakDb = Math.max(peakDb, this._shownPeakDb - FALLOFF_DB)
+    const rmsDb = toDb(level.rms)
+    const fraction = isFinite(rmsDb) ? Math.min(1, Math.max(0, 1 - rmsDb / FLOOR_DB)) : 0
+    this._bar.style.width = (fraction * 100).toFixed(1) + '%'
+    this.element.classList.toggle('punctual-meter--hot', this._shownPeakDb > -3)
+    const clipped = level.clip !== undefined ? level.clip : peakDb >= 0
+    if (clipped) this._clipUntil = Date.now() + CLIP_HOLD_MS
+    this.element.classList.toggle('punctual-meter--clip', Date.now() < this._clipUntil)
+    this._text.textContent = isFinite(this._shownPeakDb) ? this._shownPeakDb.toFixed(0) + ' dB' : '-∞ dB'
+    const reducing = level.reduction >= 0.5
+    this._reduction.style.display = reducing ? '' : 'none'
+    this._reduction.textContent = reducing ? 'GR ' + level.reduction.toFixed(0) : ''
+  }
+}
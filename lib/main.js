@@ -6,14 +6,41 @@
  * Wires up code eval, audio, OSC, and the editor.
  */
 
+import { CompositeDisposable, Disposable } from 'atom'
 import { CONSOLE_URI } from './console-view.js'
 import OscService from './sonic/osc-service.js'
 import DirtBridge from './sonic/dirt-bridge.js'
 import TempoSync from './sonic/tempo-sync.js'
 import AudioService from './sonic/audio-service.js'
-const loop = require('raf-loop')
+import ZoneManager from './zone-manager.js'
+import ErrorMarkers from './error-markers.js'
+import EvalHistory from './eval-history.js'
+import createHistoryPicker from './history-picker.js'
+import { parseXfadeDirective, applyCrossfade, longestFade } from './crossfade.js'
+import { panicProgram } from './panic-program.js'
+import AutoEval from './auto-eval.js'
+import { hasPunctualFence, punctualFenceRangeAt, extractPunctualCode } from './markdown-fences.js'
+import { findStatementGroup, findStatementAt } from './scanner.js'
+import { hasIncludes, expandIncludes, IncludeError } from './preprocessor.js'
+import { hasMediaPaths, resolveMediaPaths, MediaPathError } from './media-paths.js'
+import RenderLoop from './render-loop.js'
+import OutputWindow from './output-window.js'
+import AdaptiveScale from './adaptive-scale.js'
+import Recorder from './recorder.js'
+import WavRecorder from './sonic/wav-recorder.js'
+import { capturePath } from './capture-path.js'
+import { addTextChunks } from './png-text.js'
+import PerfHud from './perf-hud.js'
+import PerformanceMode from './performance-mode.js'
+import PointerBridge from './pointer-bridge.js'
+import createDevicePicker from './device-picker.js'
+import LevelMeter from './level-meter.js'
+const fs = require('fs')
 const path = require('path')
 
+/** Blend modes offered for the code over the visuals, in cycling order */
+const BLEND_MODES = ['normal', 'screen', 'overlay', 'difference', 'exclusion', 'multiply', 'lighten', 'darken']
+
 /**
  * Main class for the Pulsar Punctual package.
  * This is the heart of the system - it coordinates Punctual's visual rendering,
@@ -29,12 +56,65 @@ export default class Main {
     this.punctual = null
     this.punctualModule = null
     this.canvas = null
+    this.blackoutLayer = null
     this.console = null
-    this.animationLoop = null
+    this.renderLoop = null
     this.oscService = null
     this.dirt = null
     this.tempoSync = new TempoSync()
     this.audio = new AudioService((msg, cls) => this.log(msg, cls))
+    this.zones = new ZoneManager()
+    this.errorMarkers = new ErrorMarkers()
+    this.history = new EvalHistory()
+    this.historyPicker = null
+    this._pendingMarkers = new Map()
+    this._revertingZones = new Set()
+    this._zonePrograms = new Map()
+    this._goodPrograms = new Map()
+    this._panicPending = null
+    this.autoEval = new AutoEval({
+      isPunctualEditor: (editor) => this.isPunctualEditor(editor),
+      onEvaluate: (editor, trigger) => this.autoEvalBlock(editor, trigger),
+      log: (msg, cls) => this.log(msg, cls)
+    })
+    this.outputWindow = new OutputWindow((msg, cls) => this.log(msg, cls), () => this._applyCanvasVisibility())
+    this.adaptiveScale = new AdaptiveScale()
+    this.recorder = new Recorder((msg, cls) => this.log(msg, cls))
+    this.wavRecorder = new WavRecorder((msg, cls) => this.log(msg, cls))
+    this._snapshotting = false
+    this.perfHud = new PerfHud(() => this._perfInfo())
+    this.performanceMode = new PerformanceMode((msg, cls) => this.log(msg, cls))
+    this._visualState = 'live'
+    this._blackoutTimer = null
+    this._renderScale = 1
+    this._renderSettingsKey = null
+    this._paneBounds = null
+    this._paneSubs = null
+    this._canvasSubs = null
+    this.pointerBridge = new PointerBridge({
+      getCanvas: () => this.canvas,
+      getPunctual: () => this.punctual
+    })
+    this.devicePicker = null
+    this.inputMeter = new LevelMeter({
+      label: 'IN',
+      title: 'Punctual audio input level',
+      read: () => this.audio.getInputLevel()
+    })
+    this.outputMeter = new LevelMeter({
+      label: 'OUT',
+      title: 'Punctual output level; GR is the safety limiter\'s gain reduction',
+      read: () => this.audio.getOutputLevel()
+    })
+    this._audioConfigSubs = new CompositeDisposable(
+      atom.config.onDidChange('pulsar-punctual.audio.inputDevice', () => this._applyInputDevice()),
+      atom.config.onDidChange('pulsar-punctual.audio.inputGain', ({ newValue }) => this.audio.setInputGain(newValue)),
+      atom.config.onDidChange('pulsar-punctual.audio.outputDevice', () => this._applyOutputDevice()),
+      atom.config.onDidChange('pulsar-punctual.audio.limiter', () => this._applyLimiter()),
+      atom.config.onDidChange('pulsar-punctual.audio.limiterCeiling', () => this._applyLimiter()),
+      atom.config.onDidChange('pulsar-punctual.audio.showOutputMeter', () => this._applyOutputMeter())
+    )
+    this._outputConfigSub = atom.config.onDidChange('pulsar-punctual.output', () => this._applyOutputSettings())
     
     window.log = this.log.bind(this)
   }
@@ -45,12 +125,22 @@ export default class Main {
    * 
    * @private
    * @param {string} code - The Punctual code to evaluate
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Where the code should go
+   * @param {number} [options.zone=0] - The Punctual zone to define the program in
+   * @param {string} [options.label] - Where the code came from, shown by listZones
+   * @param {Object} [options.editor] - The editor the code came from, used for inline error markers
+   * @param {{row: number, column: number}} [options.origin] - Buffer position where the code starts in that editor
+   * @param {Object} [options.range] - Buffer range of the code, marked as pending while a quantized eval waits
+   * @param {boolean} [options.record=true] - Whether to add the program to the zone's history on success
+   * @param {number} [options.xfade] - Crossfade seconds for this eval; an `-- xfade N` directive in the code wins over it
+   * @param {boolean} [options.quiet=false] - Only show errors inline and keep the console quiet (used by auto-eval)
+   * @param {string} [options.filePath] - File the code belongs to, for resolving includes and media paths; defaults to the editor's path
+   * @returns {Promise<boolean>} True if Punctual accepted the program
    */
-  async _eval(code) {
+  async _eval(code, { zone = 0, label = '', editor = null, origin = null, range = null, record = true, xfade = null, quiet = false, filePath = null } = {}) {
     if (!this.punctual) {
       this.log('Punctual not initialized', 'text-error')
-      return
+      return false
     }
     
     // resume audio if suspended (autoplay policy)
@@ -66,27 +156,256 @@ export default class Main {
     }
     
     // Log audio context state if evaluating audio code
-    if (this.audio && code.includes('>> audio')) {
+    if (!quiet && this.audio && code.includes('>> audio')) {
       this.log('Evaluating audio code (context state: ' + this.audio.getState() + ')', 'text-info')
     }
     
+    if (!filePath && editor && typeof editor.getPath === 'function') filePath = editor.getPath() || null
+    let lineMap = null
     try {
+      const expanded = this._preprocess(code, filePath)
+      lineMap = expanded.lineMap
       const now = Date.now() / 1000.0
-      const result = await this.punctual.define({zone: 0, text: code, time: now})
-      
-      this.punctual.preRender({canDraw: true, nowTime: now})
-      this.punctual.render({canDraw: true, zone: 0, nowTime: now})
-      this.punctual.postRender({canDraw: true, nowTime: now})
+      const time = this._quantizedTime(now)
+      const text = applyCrossfade(expanded.text, this._crossfadeFor(code, xfade))
+      const result = await this.punctual.define({zone, text, time})
+      this.zones.markActive(zone, label)
+      this._zonePrograms.set(zone, { code, text, label, filePath, landsAt: time })
+      this._panicZoneReplaced(zone, time - now + longestFade(text))
+      if (time > now) {
+        this.evalPending(editor, range, time - now)
+        this.log('Quantized: lands in ' + (time - now).toFixed(2) + 's', 'text-muted')
+      }
+      this.errorMarkers.clear(editor)
+      if (record) this.history.push(zone, code, label, filePath)
+
+      // While paused the frozen frame stays up; the program shows once rendering resumes
+      if (!(this.renderLoop && this.renderLoop.isPaused())) this._renderZones(now)
       
-      if (result && result.info) {
-        this.log(result.info, 'text-success')
-      } else {
-        this.log(code, 'text-muted')
+      if (!quiet) {
+        if (result && result.info) {
+          this.log(result.info, 'text-success')
+        } else {
+          this.log(code, 'text-muted')
+        }
       }
+      return true
     } catch (e) {
-      const errorMessage = e.toString ? e.toString() : e.message || 'Unknown error'
-      this.log(errorMessage, 'text-error')
+      const errorMessage = (e instanceof IncludeError || e instanceof MediaPathError) ? e.message : (e.toString ? e.toString() : e.message || 'Unknown error')
+      const { position, where } = this._locateError(e, errorMessage, lineMap)
+      const at = this.errorMarkers.showAt(editor, origin, position)
+      if (!quiet) {
+        if (where) this.log(errorMessage + ' (in ' + where + ')', 'text-error')
+        else this.log(at ? errorMessage + ' (at ' + label + ':' + (at.row + 1) + ':' + (at.column + 1) + ')' : errorMessage, 'text-error')
+      }
+      return false
+    }
+  }
+
+  /**
+   * Expands include directives and resolves local media paths in code about to be evaluated.
+   *
+   * @private
+   * @param {string} code - The code being evaluated
+   * @param {string|null} filePath - File the code belongs to
+   * @returns {{text: string, lineMap: Array<Object>|null}} Expanded code, and a line map if anything was included
+   * @throws {IncludeError} When an include is missing or cyclic
+   * @throws {MediaPathError} When a media file is missing
+   */
+  _preprocess(code, filePath) {
+    let expanded = { text: code, lineMap: null }
+    if (hasIncludes(code)) {
+      const libraryDir = atom.config.get('pulsar-punctual.evaluation.includeLibrary') || null
+      expanded = expandIncludes(code, { filePath, libraryDir })
+    }
+    if (hasMediaPaths(expanded.text)) {
+      expanded.text = resolveMediaPaths(expanded.text, { filePath, lineMap: expanded.lineMap })
+    }
+    return expanded
+  }
+
+  /**
+   * Works out where an evaluation error belongs.
+   * Errors in the evaluated code itself get their position inside it; errors inside an
+   * included file are pinned to the include directive and described by file and line.
+   *
+   * @private
+   * @param {Error|*} error - What was thrown
+   * @param {string} message - The error message
+   * @param {Array<Object>|null} lineMap - Line map from include expansion, if any
+   * @returns {{position: {line: number, column: number}|null, where: string|null}} 1-based position in the evaluated code, and a location inside an included file
+   */
+  _locateError(error, message, lineMap) {
+    if (error instanceof IncludeError) {
+      return { position: { line: error.line + 1, column: 1 }, where: null }
+    }
+    const position = error instanceof MediaPathError
+      ? { line: error.line + 1, column: error.column + 1 }
+      : this.errorMarkers.parsePosition(message)
+    const entry = (position && lineMap) ? lineMap[position.line - 1] : null
+    if (!entry) return { position, where: null }
+    if (entry.file === null) {
+      return { position: { line: entry.line + 1, column: position.column }, where: null }
+    }
+    return {
+      position: { line: entry.rootLine + 1, column: 1 },
+      where: path.basename(entry.file) + ':' + (entry.line + 1) + ':' + position.column
+    }
+  }
+
+  /**
+   * Works out when an evaluation should take effect under the current quantize mode.
+   * Falls back to right now when quantizing is off or there's no tempo from Tidal yet.
+   *
+   * @private
+   * @param {number} now - The current time in POSIX seconds
+   * @returns {number} The time to pass to Punctual, in POSIX seconds
+   */
+  _quantizedTime(now) {
+    const mode = atom.config.get('pulsar-punctual.evaluation.quantize') || 'none'
+    let unit = null
+    if (mode === 'beat') {
+      const beats = atom.config.get('pulsar-punctual.evaluation.beatsPerCycle') || 4
+      unit = 1 / beats
+    } else if (mode === 'cycle') {
+      unit = 1
+    } else if (mode === 'cycles') {
+      unit = atom.config.get('pulsar-punctual.evaluation.quantizeCycles') || 4
+    }
+    if (unit === null || !this.tempoSync) return now
+    const boundary = this.tempoSync.nextBoundary(now, unit)
+    return (boundary !== null && boundary > now) ? boundary : now
+  }
+
+  /**
+   * Picks the crossfade time for an evaluation.
+   * An `-- xfade N` directive in the code beats the per-eval override, which beats the setting.
+   *
+   * @private
+   * @param {string} code - The code being evaluated
+   * @param {number|null} override - Per-eval crossfade seconds, if any
+   * @returns {number} Crossfade seconds (0 leaves Punctual's own fades alone)
+   */
+  _crossfadeFor(code, override) {
+    const directive = parseXfadeDirective(code)
+    if (directive !== null) return directive
+    if (typeof override === 'number') return override
+    return atom.config.get('pulsar-punctual.evaluation.crossfadeSeconds') || 0
+  }
+
+  /**
+   * Steps the quantize setting through none, beat, cycle and N cycles.
+   */
+  cycleQuantizeMode() {
+    const modes = ['none', 'beat', 'cycle', 'cycles']
+    const current = atom.config.get('pulsar-punctual.evaluation.quantize') || 'none'
+    const next = modes[(modes.indexOf(current) + 1) % modes.length]
+    atom.config.set('pulsar-punctual.evaluation.quantize', next)
+    const n = atom.config.get('pulsar-punctual.evaluation.quantizeCycles') || 4
+    this.log('Quantize: ' + (next === 'cycles' ? n + ' cycles' : next), 'text-info')
+  }
+
+  /**
+   * Renders one frame of every active zone.
+   * Zones are drawn in ascending order, so higher zones layer on top of lower ones.
+   * A zone that throws is skipped and rolled back instead of taking the other zones down with it.
+   *
+   * @private
+   * @param {number} now - The render time in POSIX seconds
+   */
+  _renderZones(now) {
+    const active = this.zones.getActiveZones()
+    const zones = active.length ? active : [0]
+    this.punctual.preRender({canDraw: true, nowTime: now})
+    for (const zone of zones) {
+      if (this._revertingZones.has(zone)) continue
+      try {
+        this.punctual.render({canDraw: true, zone, nowTime: now})
+        this._zoneRendered(zone, now)
+      } catch (e) {
+        this._zoneRenderFailed(zone, e)
+      }
+    }
+    this.punctual.postRender({canDraw: true, nowTime: now})
+  }
+
+  /**
+   * Remembers the program defined in a zone as good once it has rendered, i.e. after it has landed.
+   *
+   * @private
+   * @param {number} zone - The zone that rendered
+   * @param {number} now - The render time in POSIX seconds
+   */
+  _zoneRendered(zone, now) {
+    const program = this._zonePrograms.get(zone)
+    if (program && program !== this._goodPrograms.get(zone) && now >= program.landsAt) {
+      this._goodPrograms.set(zone, program)
+    }
+  }
+
+  /**
+   * Deals with a zone whose program throws while rendering.
+   * Reports the failure (rate-limited) and rolls the zone back to the last program that
+   * rendered in it, or clears it if there is none. The zone isn't rendered until that's done.
+   * A restored program counts as good straight away, so if it throws too the zone gets cleared.
+   *
+   * @private
+   * @param {number} zone - The zone that failed
+   * @param {Error|*} error - The render error
+   */
+  _zoneRenderFailed(zone, error) {
+    const report = (what) => { if (this.renderLoop) this.renderLoop.reportFailure(what, error) }
+    if (this._revertingZones.has(zone)) {
+      report('zone ' + zone)
+      return
+    }
+    this._revertingZones.add(zone)
+    const done = () => { this._revertingZones.delete(zone) }
+    const clear = () => this._clearZone(zone).then(done, done)
+
+    const good = this._goodPrograms.get(zone)
+    if (good && good !== this._zonePrograms.get(zone)) {
+      report('zone ' + zone + ', reverting to the last good program')
+      this._eval(good.code, { zone, label: good.label, filePath: good.filePath, record: false, quiet: true, xfade: 0 })
+        .then(ok => {
+          if (!ok) return clear()
+          if (this._zonePrograms.has(zone)) this._goodPrograms.set(zone, this._zonePrograms.get(zone))
+          done()
+        }, clear)
+    } else {
+      report('zone ' + zone + ', clearing it')
+      clear()
+    }
+  }
+
+  /**
+   * Restarts the render loop, e.g. after visuals got stuck.
+   */
+  restartRenderLoop() {
+    if (!this.renderLoop) {
+      this.log('Punctual not initialized', 'text-error')
+      return
     }
+    const failed = this.renderLoop.failedFrames
+    this.renderLoop.restart()
+    this.log('Render loop restarted' + (failed ? ' (' + failed + ' frames had failed)' : ''), 'text-info')
+  }
+
+  /**
+   * Builds the _eval options for code coming from an editor.
+   * Picks the zone from a zone marker in the code or from the editor itself.
+   *
+   * @private
+   * @param {Object} editor - The Atom TextEditor the code came from
+   * @param {string} code - The code being evaluated
+   * @param {Object} range - Buffer range of the code
+   * @param {{row: number, column: number}} [origin] - Buffer position where the code starts, if not range.start
+   * @returns {{zone: number, label: string, editor: Object, origin: Object, range: Object}} Options for _eval
+   */
+  _evalOptionsFor(editor, code, range, origin = range.start) {
+    const zone = this.zones.resolve(editor, code)
+    const title = editor && typeof editor.getTitle === 'function' ? editor.getTitle() : ''
+    return { zone, label: title, editor, origin: { row: origin.row, column: origin.column }, range }
   }
 
   /**
@@ -108,6 +427,62 @@ export default class Main {
     }
   }
 
+  /**
+   * Checks whether an editor holds Punctual code: a .punc file, the Punctual grammar,
+   * or any other document (e.g. Markdown notes) with ```punctual code fences.
+   *
+   * @param {Object} editor - The Atom TextEditor instance
+   * @returns {boolean} True if the editor has Punctual code to evaluate
+   */
+  isPunctualEditor(editor) {
+    return this._isPunctualSource(editor) || this._isFencedDocument(editor)
+  }
+
+  /**
+   * Checks whether the whole editor is Punctual source, by file extension or grammar.
+   *
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   * @returns {boolean} True for .punc files and editors using the Punctual grammar
+   */
+  _isPunctualSource(editor) {
+    const filePath = editor && typeof editor.getPath === 'function' ? editor.getPath() : null
+    const grammar = editor && typeof editor.getGrammar === 'function' ? editor.getGrammar() : null
+    const gName = grammar ? (grammar.name || grammar.scopeName || '').toLowerCase() : ''
+    return !!((filePath && /\.punc$/i.test(filePath)) || (gName.includes('punctual') || gName.includes('punc')))
+  }
+
+  /**
+   * Checks whether an editor is some other document with ```punctual fences in it.
+   * Only the fenced code in such documents gets evaluated.
+   *
+   * @private
+   * @param {Object} editor - The Atom TextEditor instance
+   * @returns {boolean} True if the editor isn't Punctual source but has Punctual fences
+   */
+  _isFencedDocument(editor) {
+    if (!editor || typeof editor.getText !== 'function' || this._isPunctualSource(editor)) return false
+    return hasPunctualFence(editor.getText())
+  }
+
+  /**
+   * Figures out which range evalBlock should evaluate.
+   * Inside a ```punctual fence that's the whole fence; in a fenced document outside any
+   * fence there's nothing to evaluate; otherwise it's the statement group around the cursor.
+   *
+   * @param {Object} editor - The Atom TextEditor instance
+   * @returns {{start: {row: number, column: number}, end: {row: number, column: number}}|null} Buffer range, or null
+   */
+  getEvalBlockRange(editor) {
+    if (!this._isPunctualSource(editor)) {
+      const lines = editor.getBuffer().getLines()
+      const fence = punctualFenceRangeAt(lines, editor.getCursorBufferPosition().row)
+      if (fence) return fence
+      if (this._isFencedDocument(editor)) return null
+    }
+    return this.getCurrentStatementGroup(editor)
+  }
+
   /**
    * Makes sure Punctual is running before we try to evaluate code in a .punc file.
    * Auto-starts Punctual if you're working on a Punctual file.
@@ -118,11 +493,7 @@ export default class Main {
   async ensureStartedForEditor(editor) {
     if (this.punctual) return
     try {
-      const filePath = editor && typeof editor.getPath === 'function' ? editor.getPath() : null
-      const grammar = editor && typeof editor.getGrammar === 'function' ? editor.getGrammar() : null
-      const gName = grammar ? (grammar.name || grammar.scopeName || '').toLowerCase() : ''
-      const isPunc = (filePath && /\.punc$/i.test(filePath)) || (gName.includes('punctual') || gName.includes('punc'))
-      if (!isPunc) return
+      if (!this.isPunctualEditor(editor)) return
       const pkg = atom.packages.getActivePackage && atom.packages.getActivePackage('pulsar-punctual')
       const mod = pkg && pkg.mainModule
       if (mod) {
@@ -140,20 +511,27 @@ export default class Main {
   }
 
   /**
-   * Evaluates the current paragraph/block of code in the active editor.
-   * A block is just consecutive non-empty lines around your cursor.
+   * Evaluates the current statement group of code in the active editor.
+   * A block is the statements around your cursor up to the nearest blank lines, or the whole
+   * ```punctual fence you're in when editing Markdown notes.
    * Gives you a visual flash and makes sure Punctual is running.
    * 
+   * @param {Object} [overrides] - Extra _eval options, e.g. `{xfade: 8}`
    * @returns {Promise<void>}
    */
-  async evalBlock() {
+  async evalBlock(overrides = {}) {
     let editor
     if (editor = atom.workspace.getActiveTextEditor()) {
-      var range = this.getCurrentParagraphIncludingComments(editor);
-      this.evalFlash(range)
+      var range = this.getEvalBlockRange(editor);
+      if (!range) {
+        if (this._isFencedDocument(editor)) this.log('Cursor is not inside a ```punctual code fence', 'text-warning')
+        return
+      }
       var expression = editor.getTextInBufferRange(range);
+      if (!/\S/.test(expression)) return
+      this.evalFlash(range)
       await this.ensureStartedForEditor(editor)
-      this._eval(expression)
+      this._eval(expression, Object.assign(this._evalOptionsFor(editor, expression, range), overrides))
     }
   }
 
@@ -161,9 +539,10 @@ export default class Main {
    * Evaluates all the code in the active editor.
    * Gives you a flash and makes sure Punctual is running.
    * 
+   * @param {Object} [overrides] - Extra _eval options, e.g. `{xfade: 8}`
    * @returns {Promise<void>}
    */
-  async evalCode() {
+  async evalCode(overrides = {}) {
     let editor
     if (editor = atom.workspace.getActiveTextEditor()) {
       const range = {
@@ -172,38 +551,159 @@ export default class Main {
       }
       this.evalFlash(range);
       await this.ensureStartedForEditor(editor)
-      this._eval(editor.getText());
+      // in fenced documents only the fences are code; blanking the rest keeps error rows right
+      const code = this._isFencedDocument(editor) ? extractPunctualCode(editor.getText()) : editor.getText()
+      this._eval(code, Object.assign(this._evalOptionsFor(editor, code, range), overrides));
     }
   }
 
   /**
-   * Figures out the buffer range of the current paragraph/block including comments.
+   * Re-evaluates the block under the cursor of an editor for auto-eval.
+   * Only runs while Punctual is started. If the block doesn't parse, Punctual keeps the
+   * running program and the error is only shown inline. Edits don't go into the history;
+   * saves do.
+   *
+   * @param {Object} editor - The Atom TextEditor that changed or was saved
+   * @param {string} trigger - 'change' or 'save'
+   * @returns {Promise<boolean>} True if the block was defined
+   */
+  async autoEvalBlock(editor, trigger) {
+    if (!this.punctual || !editor) return false
+    const range = this.getEvalBlockRange(editor)
+    if (!range) return false
+    const expression = editor.getTextInBufferRange(range)
+    if (!/\S/.test(expression)) return false
+    const options = Object.assign(this._evalOptionsFor(editor, expression, range), {
+      quiet: true,
+      record: trigger === 'save'
+    })
+    return this._eval(expression, options)
+  }
+
+  /**
+   * Toggles "eval as you type" for Punctual editors.
+   */
+  toggleAutoEval() {
+    this.autoEval.toggle()
+  }
+
+  /**
+   * Hooks Punctual's indicators into the status bar.
+   *
+   * @param {Object} statusBar - The status-bar service
+   * @returns {Disposable} Removes the tiles again
+   */
+  consumeStatusBar(statusBar) {
+    this.statusBar = statusBar
+    return new CompositeDisposable(
+      this.autoEval.attachStatusBar(statusBar),
+      this.recorder.attachStatusBar(statusBar),
+      this.inputMeter.attachStatusBar(statusBar),
+      this.outputMeter.attachStatusBar(statusBar, 197)
+    )
+  }
+
+  /**
+   * Disposes everything that lives for the whole package lifetime.
+   * Called on deactivation, after stop().
+   */
+  destroy() {
+    if (this.historyPicker) this.historyPicker.destroy()
+    this.historyPicker = null
+    if (this.devicePicker) this.devicePicker.destroy()
+    this.devicePicker = null
+    this.inputMeter.dispose()
+    this.outputMeter.dispose()
+    this._audioConfigSubs.dispose()
+    this.autoEval.dispose()
+    this.recorder.dispose()
+    this.wavRecorder.dispose()
+    this.perfHud.hide()
+    this.performanceMode.dispose()
+    this.outputWindow.close()
+    if (this._outputConfigSub) this._outputConfigSub.dispose()
+    this._outputConfigSub = null
+  }
+
+  /**
+   * Evaluates the current block with the long crossfade from the settings.
+   * Handy for slow scene transitions.
+   *
+   * @returns {Promise<void>}
+   */
+  evalBlockLongFade() {
+    return this.evalBlock({ xfade: this._longCrossfade() })
+  }
+
+  /**
+   * Evaluates all the code in the active editor with the long crossfade from the settings.
+   *
+   * @returns {Promise<void>}
+   */
+  evalCodeLongFade() {
+    return this.evalCode({ xfade: this._longCrossfade() })
+  }
+
+  /**
+   * Reads the long crossfade setting.
+   *
+   * @private
+   * @returns {number} Crossfade seconds
+   */
+  _longCrossfade() {
+    return atom.config.get('pulsar-punctual.evaluation.longCrossfadeSeconds') || 8
+  }
+
+  /**
+   * Figures out the buffer range of the statement group around the cursor, comments included.
+   * Groups are separated by blank lines, except blank lines inside brackets or after a
+   * trailing operator, which belong to the expression they sit in.
    * 
    * @param {Object} editor - The Atom TextEditor instance
-   * @returns {{start: {row: number, column: number}, end: {row: number, column: number}}} Buffer range object
+   * @returns {{start: {row: number, column: number}, end: {row: number, column: number}}|null} Buffer range object, or null on a blank line
    */
-  getCurrentParagraphIncludingComments(editor) {
-    var cursor = editor.getLastCursor();
-    var endRow = cursor.getBufferRow();
-    var startRow = endRow;
-    var lineCount = editor.getLineCount();
-
-    while (/\S/.test(editor.lineTextForBufferRow(startRow)) && startRow >= 0) {
-        startRow--;
-    }
-    while (/\S/.test(editor.lineTextForBufferRow(endRow)) && endRow < lineCount) {
-        endRow++;
-    }
+  getCurrentStatementGroup(editor) {
+    const row = editor.getLastCursor().getBufferRow()
+    const group = findStatementGroup(editor.getText(), row)
+    if (!group) return null
     return {
-        start: {
-            row: startRow + 1,
-            column: 0
-        },
-        end: {
-            row: endRow,
-            column: 0
-        },
-    };
+      start: { row: group.startRow, column: 0 },
+      end: { row: group.endRow, column: 0 }
+    }
+  }
+
+  /**
+   * Evaluates just the statement under the cursor, up to its `;`.
+   * Zone markers and `-- xfade N` directives in the surrounding block still apply.
+   *
+   * @returns {Promise<void>}
+   */
+  async evalStatement() {
+    const editor = atom.workspace.getActiveTextEditor()
+    if (!editor) return
+    const blockRange = this.getEvalBlockRange(editor)
+    if (!blockRange) return
+
+    const buffer = editor.getBuffer()
+    const blockText = editor.getTextInBufferRange(blockRange)
+    const blockStart = buffer.characterIndexForPosition(blockRange.start)
+    const cursorOffset = buffer.characterIndexForPosition(editor.getCursorBufferPosition()) - blockStart
+    const statement = findStatementAt(blockText, cursorOffset)
+    if (!statement) return
+
+    const start = buffer.positionForCharacterIndex(blockStart + statement.start)
+    const end = buffer.positionForCharacterIndex(blockStart + statement.end)
+    const range = { start: { row: start.row, column: start.column }, end: { row: end.row, column: end.column } }
+    const code = blockText.slice(statement.start, statement.end)
+
+    this.evalFlash(range)
+    await this.ensureStartedForEditor(editor)
+    const options = this._evalOptionsFor(editor, code, range)
+    options.zone = this.zones.resolve(editor, blockText)
+    // Zone and crossfade directives sit in the block, usually outside the statement
+    const xfade = parseXfadeDirective(blockText)
+    if (xfade !== null) options.xfade = xfade
+    this._eval(code, options)
   }
 
   /**
@@ -233,6 +733,32 @@ export default class Main {
     }
   }
 
+  /**
+   * Marks evaluated code as pending until a quantized evaluation lands.
+   * Uses the 'punctual-pending' CSS class; a newer pending eval in the same editor replaces the old mark.
+   *
+   * @param {Object} editor - The Atom TextEditor the code came from
+   * @param {{start: {row: number, column: number}, end: {row: number, column: number}}} range - Buffer range to mark
+   * @param {number} delaySec - Seconds until the evaluation takes effect
+   */
+  evalPending(editor, range, delaySec) {
+    if (!editor || !range) return
+    const previous = this._pendingMarkers.get(editor.id)
+    if (previous) {
+      clearTimeout(previous.timer)
+      try { previous.marker.destroy() } catch (_) {}
+    }
+
+    const marker = editor.markBufferRange(range, { invalidate: 'never' })
+    editor.decorateMarker(marker, { type: 'line', class: 'punctual-pending' })
+    const timer = setTimeout(() => {
+      try { marker.destroy() } catch (_) {}
+      const current = this._pendingMarkers.get(editor.id)
+      if (current && current.marker === marker) this._pendingMarkers.delete(editor.id)
+    }, Math.max(0, delaySec * 1000))
+    this._pendingMarkers.set(editor.id, { marker, timer })
+  }
+
   /**
    * Evaluates the current line or selection in the active editor.
    * If you have something selected, it evaluates that; otherwise it evaluates the whole line.
@@ -246,21 +772,23 @@ export default class Main {
       var range
       let selection = editor.getSelectedText()
       range = editor.getSelectedBufferRange()
+      let origin = range.start
       // evaluate selection, if selection is less than 1, evaluate entire line
       if(selection.length < 1){
         let pt = editor.getCursorBufferPosition()
         selection = editor.lineTextForBufferRow(pt.row)
         range ={ start: pt, end: pt }
+        origin = { row: pt.row, column: 0 }
       }
       await this.ensureStartedForEditor(editor)
-      this._eval(selection)
+      this._eval(selection, this._evalOptionsFor(editor, selection, range, origin))
       this.evalFlash(range)
     }
   }
 
   /**
    * Starts the Punctual system.
-   * Sets up the console, canvas, Punctual engine, audio services, animation loop,
+   * Sets up the console, canvas, Punctual engine, audio services, render loop,
    * and OSC communication. Keeps your editor focused the whole time.
    * 
    * @returns {Promise<void>}
@@ -308,6 +836,11 @@ export default class Main {
     
     document.body.appendChild(this.canvas)
 
+    // Sits right above the canvas (same z-index, later in the DOM) for blackouts
+    this.blackoutLayer = document.createElement('div')
+    this.blackoutLayer.classList.add('punctual-blackout')
+    document.body.appendChild(this.blackoutLayer)
+
     try {
       this.log('Initializing Punctual...', 'text-info')
       
@@ -342,22 +875,24 @@ export default class Main {
       // Route Punctual's audio through the audio service
       if (this.audio) {
         try { this.audio.connectPunctual(this.punctual) } catch (_) {}
+        await this._applyOutputDevice()
+        await this._applyInputDevice()
+        this._applyOutputMeter()
       }
       
-      var self = this
-      this.animationLoop = loop(function(dt) {
-        const now = Date.now() / 1000.0
-        if (self.punctual) {
-          try {
-            self.punctual.preRender({canDraw: true, nowTime: now})
-            self.punctual.render({canDraw: true, zone: 0, nowTime: now})
-            self.punctual.postRender({canDraw: true, nowTime: now})
-          } catch (e) {
-            console.error('Render loop error:', e)
-            self.animationLoop.stop()
-          }
-        }
-      }).start()
+      this.renderLoop = new RenderLoop((now) => {
+        if (this.punctual) this._renderZones(now)
+      }, (msg, cls) => this.log(msg, cls))
+      this.renderLoop.onFrame(() => this.outputWindow.draw(this.canvas))
+      this.renderLoop.onFrame((now, dt) => {
+        const scale = this.adaptiveScale.sample(dt, performance.now())
+        if (scale !== null && !this._snapshotting) this._setRenderScale(scale)
+      })
+      this.renderLoop.onFrame((now, dt, cost) => this.perfHud.sample(dt, cost))
+      this._watchEditorFocus()
+      this._applyOutputSettings()
+      this.renderLoop.start()
+      this.pointerBridge.start()
 
       this.log('Punctual started!', 'text-success')
 
@@ -421,7 +956,7 @@ export default class Main {
 
   /**
    * Stops the Punctual system and cleans up everything.
-   * Shuts down OSC service, animation loop, audio services, removes the canvas,
+   * Shuts down OSC service, render loop, audio services, removes the canvas,
    * and brings back the UI.
    */
   async stop() {
@@ -434,15 +969,27 @@ export default class Main {
 
     this.dirt = null
     
-    if (this.animationLoop) {
-      this.animationLoop.stop()
-      this.animationLoop = null
+    if (this.renderLoop) {
+      this.renderLoop.stop()
+      this.renderLoop = null
     }
+    this._revertingZones.clear()
+    this._zonePrograms.clear()
+    this._goodPrograms.clear()
+    this._renderSettingsKey = null
+    this._panicPending = null
+    this.outputWindow.close()
+    this.perfHud.hide()
+    await this.recorder.stop()
+    await this.wavRecorder.stop()
 
     
     if (this.punctual) {
       this.punctual = null
     }
+    this.zones.reset()
+    this.errorMarkers.clearAll()
+    this.history.reset()
     
     if (this.punctualModule) {
       this.punctualModule = null
@@ -456,8 +1003,22 @@ export default class Main {
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas)
     }
+    this.pointerBridge.stop()
+    this.inputMeter.stop()
+    this.outputMeter.stop()
+    if (this.blackoutLayer) this.blackoutLayer.remove()
+    if (this._canvasSubs) this._canvasSubs.dispose()
+    this._canvasSubs = null
+    if (this._paneSubs) this._paneSubs.dispose()
+    this._paneSubs = null
+    this._paneBounds = null
+    document.body.style.removeProperty('--punctual-blend-mode')
+    clearTimeout(this._blackoutTimer)
+    this._blackoutTimer = null
+    this._visualState = 'live'
     
     this.canvas = null
+    this.blackoutLayer = null
     this.log('Punctual disabled.', 'text-info')
 
     try {
@@ -493,71 +1054,1023 @@ export default class Main {
   }
 
   /**
-   * Sets the master volume for Punctual's audio output.
-   * 
-   * @param {number} volume - The volume level (typically 0-100)
+   * Freezes the visuals on the current frame. Time stops advancing on screen, but the
+   * programs stay defined (and new evals are accepted) so resumeVisuals is instant.
    */
-  setMasterVolume(volume) {
-    if (!this.audio) {
-      this.log('Audio service not initialized', 'text-warning')
+  freezeVisuals() {
+    if (!this.renderLoop) {
+      this.log('Punctual not initialized', 'text-error')
       return
     }
-    this.audio.setMasterVolume(volume)
+    clearTimeout(this._blackoutTimer)
+    this._blackoutTimer = null
+    this._setBlackout(false, 0)
+    this.renderLoop.pause()
+    this._visualState = 'frozen'
+    this.log('Visuals frozen (resumeVisuals to continue)', 'text-info')
   }
 
   /**
-   * Bumps up the master volume by 5 units.
-   * Uses AudioService if it's available, otherwise updates the config directly.
+   * Fades the visuals to black over the configured fade time, then stops rendering.
+   * The programs stay defined, so resumeVisuals brings them straight back.
    */
-  increaseMasterVolume() {
-    if (this.audio && typeof this.audio.increaseMasterVolume === 'function') {
-      this.audio.increaseMasterVolume()
-    } else {
-      const currentVolume = atom.config.get('pulsar-punctual.masterVolume')
-      const volume = (currentVolume !== null && currentVolume !== undefined) ? currentVolume : 70
-      this.setMasterVolume(volume + 5)
+  blackout() {
+    if (!this.renderLoop) {
+      this.log('Punctual not initialized', 'text-error')
+      return
     }
+    if (this._visualState === 'blackout') return
+    const seconds = this._blackoutFadeSeconds()
+    this.renderLoop.resume()
+    this._setBlackout(true, seconds)
+    this._visualState = 'blackout'
+    clearTimeout(this._blackoutTimer)
+    // Nothing to see once it's black; save the GPU
+    this._blackoutTimer = setTimeout(() => {
+      this._blackoutTimer = null
+      if (this._visualState === 'blackout' && this.renderLoop) this.renderLoop.pause()
+    }, seconds * 1000 + 50)
+    this.log(seconds > 0 ? `Blackout (fading over ${seconds}s)` : 'Blackout', 'text-info')
   }
 
   /**
-   * Drops the master volume by 5 units.
-   * Uses AudioService if it's available, otherwise updates the config directly.
+   * Brings the visuals back after freezeVisuals or blackout.
    */
-  decreaseMasterVolume() {
-    if (this.audio && typeof this.audio.decreaseMasterVolume === 'function') {
-      this.audio.decreaseMasterVolume()
-    } else {
-      const currentVolume = atom.config.get('pulsar-punctual.masterVolume')
-      const volume = (currentVolume !== null && currentVolume !== undefined) ? currentVolume : 70
-      this.setMasterVolume(volume - 5)
+  resumeVisuals() {
+    if (!this.renderLoop) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    if (this._visualState === 'live') {
+      this.log('Visuals are not frozen or blacked out', 'text-info')
+      return
     }
+    clearTimeout(this._blackoutTimer)
+    this._blackoutTimer = null
+    const fade = this._visualState === 'blackout' ? this._blackoutFadeSeconds() : 0
+    this.renderLoop.resume()
+    this._setBlackout(false, fade)
+    this._visualState = 'live'
+    this.log('Visuals resumed', 'text-info')
   }
 
   /**
-   * Gets the current master volume level.
-   * 
-   * @returns {number} The current volume level (0-100)
+   * Fades the blackout layer (and the output window) in or out.
+   * @private
+   * @param {boolean} dark - True to fade to black
+   * @param {number} seconds - Fade time
    */
-  getMasterVolume() {
-    if (this.audio && typeof this.audio.getMasterVolume === 'function') {
-      return this.audio.getMasterVolume()
+  _setBlackout(dark, seconds) {
+    if (this.blackoutLayer) {
+      this.blackoutLayer.style.transition = `opacity ${seconds}s linear`
+      this.blackoutLayer.style.opacity = dark ? '1' : '0'
     }
-    return atom.config.get('pulsar-punctual.masterVolume') || 70
+    this.outputWindow.setBlackout(dark, seconds)
   }
 
   /**
-   * Emergency audio silence function.
-   * Kills all Punctual audio immediately by evaluating '0 >> audio;'.
-   * 
+   * Reads the blackout fade time setting.
+   * @private
+   * @returns {number} Seconds, 0 or more
+   */
+  _blackoutFadeSeconds() {
+    const seconds = atom.config.get('pulsar-punctual.output.blackoutFadeSeconds')
+    return typeof seconds === 'number' && seconds > 0 ? seconds : 0
+  }
+
+  /**
+   * Opens the output window, or closes it if it's already open.
+   * In 'move' mode the visuals leave the editor while the window is open.
+   */
+  toggleOutputWindow() {
+    if (this.outputWindow.isOpen()) {
+      this.outputWindow.close()
+      this.log('Output window closed', 'text-info')
+      return
+    }
+    if (!this.punctual) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    if (this.outputWindow.open()) {
+      this._applyCanvasVisibility()
+      if (this._visualState === 'blackout') this.outputWindow.setBlackout(true)
+    }
+  }
+
+  /**
+   * Toggles fullscreen in the output window.
+   */
+  toggleOutputFullscreen() {
+    if (!this.outputWindow.isOpen()) {
+      this.log('Output window is not open', 'text-warning')
+      return
+    }
+    this.outputWindow.toggleFullscreen()
+  }
+
+  /**
+   * Starts recording the visuals and the master bus audio to a WebM file.
+   * The file goes into the configured recording folder, or next to the active .punc file.
+   */
+  startRecording() {
+    if (!this.punctual || !this.canvas) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    const editor = atom.workspace.getActiveTextEditor()
+    const filePath = capturePath({
+      sourcePath: editor ? editor.getPath() : null,
+      folder: atom.config.get('pulsar-punctual.recording.folder'),
+      ext: 'webm'
+    })
+    const mbps = atom.config.get('pulsar-punctual.recording.videoBitrate')
+    this.recorder.start({
+      canvas: this.canvas,
+      audioNode: this.audio ? this.audio.outputNode : null,
+      filePath,
+      fps: atom.config.get('pulsar-punctual.recording.frameRate') || 30,
+      videoBitsPerSecond: mbps > 0 ? mbps * 1e6 : undefined
+    })
+  }
+
+  /**
+   * Stops the running recording and saves the file.
    * @returns {Promise<void>}
    */
-  async panic() {
-    this.log('PANIC: Silencing all audio', 'text-warning')
-    if (this.audio && typeof this.audio.panic === 'function') {
-      await this.audio.panic(this._eval.bind(this))
-    } else {
-      try { await this._eval('0 >> audio;') } catch (_) {}
+  async stopRecording() {
+    if (!this.recorder.isRecording()) {
+      this.log('Not recording', 'text-warning')
+      return
+    }
+    await this.recorder.stop()
+  }
+
+  /**
+   * Starts bouncing the master bus to a WAV file at the audio context's sample rate.
+   * Named and placed like video recordings; stops by itself after the configured maximum length.
+   * @returns {Promise<void>}
+   */
+  async startAudioRecording() {
+    if (!this.audio || !this.audio.outputNode) {
+      this.log('Audio is not running', 'text-error')
+      return
+    }
+    const base = 'pulsar-punctual.recording'
+    const editor = atom.workspace.getActiveTextEditor()
+    const filePath = capturePath({
+      sourcePath: editor ? editor.getPath() : null,
+      folder: atom.config.get(`${base}.folder`),
+      ext: 'wav'
+    })
+    await this.wavRecorder.start({
+      audioNode: this.audio.outputNode,
+      filePath,
+      format: atom.config.get(`${base}.audioFormat`) === 'int16' ? 'int16' : 'float32',
+      maxSeconds: (atom.config.get(`${base}.maxAudioMinutes`) || 0) * 60
+    })
+  }
+
+  /**
+   * Stops the running audio recording and finishes the WAV file.
+   * @returns {Promise<void>}
+   */
+  async stopAudioRecording() {
+    if (!this.wavRecorder.isRecording()) {
+      this.log('Not recording audio', 'text-warning')
+      return
+    }
+    await this.wavRecorder.stop()
+  }
+
+  /**
+   * Saves the current frame as a PNG, named after the active file and the time.
+   * With a snapshot scale above 1 the canvas is briefly rendered at that multiple of
+   * the window size; the running programs can be embedded as PNG text metadata.
+   *
+   * @returns {Promise<string|null>} Path of the saved PNG, or null if it failed
+   */
+  async snapshot() {
+    if (!this.punctual || !this.canvas || !this.renderLoop) {
+      this.log('Punctual not initialized', 'text-error')
+      return null
+    }
+    if (this._snapshotting) return null
+
+    const base = 'pulsar-punctual.recording'
+    const editor = atom.workspace.getActiveTextEditor()
+    const filePath = capturePath({
+      sourcePath: editor ? editor.getPath() : null,
+      folder: atom.config.get(`${base}.folder`),
+      ext: 'png'
+    })
+    const scale = Math.min(4, Math.max(1, atom.config.get(`${base}.snapshotScale`) || 1))
+
+    // Adaptive quality may have the canvas below window size; snapshots always get the full scale
+    const rescale = this._renderScale !== scale
+    this._snapshotting = true
+    try {
+      if (rescale) {
+        this._setRenderScale(scale)
+        // Give Punctual a couple of frames to resize its drawing buffer
+        await this._nextFrame()
+        await this._nextFrame()
+      }
+      const blob = await this._captureFrame()
+      let png = Buffer.from(await blob.arrayBuffer())
+      if (atom.config.get(`${base}.embedProgram`) !== false) {
+        const program = this._runningPrograms()
+        if (program) png = addTextChunks(png, { 'Punctual Program': program, Software: 'pulsar-punctual' })
+      }
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.promises.writeFile(filePath, png)
+      this.log(`Snapshot saved (${this.canvas.width}x${this.canvas.height}): ${filePath}`, 'text-success')
+      return filePath
+    } catch (e) {
+      this.log('Snapshot failed: ' + (e && e.message ? e.message : e), 'text-error')
+      return null
+    } finally {
+      if (rescale) this._setRenderScale(this.adaptiveScale.scale)
+      this._snapshotting = false
+    }
+  }
+
+  /**
+   * Waits for the render loop to finish its next frame.
+   * @private
+   * @returns {Promise<void>} Resolves after the frame, rejects if none comes within 2s
+   */
+  _nextFrame() {
+    return this._afterNextFrame(() => {})
+  }
+
+  /**
+   * Grabs the canvas as a PNG right after the next frame, while the WebGL canvas holds it.
+   * @private
+   * @returns {Promise<Blob>} The PNG
+   */
+  _captureFrame() {
+    return this._afterNextFrame(() => new Promise((resolve, reject) => {
+      // toBlob copies the pixels right away; only the encoding is async
+      this.canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas is empty')), 'image/png')
+    }))
+  }
+
+  /**
+   * Runs a function once, right after the next rendered frame.
+   * While the visuals are frozen or blacked out the loop is paused, so a frame is rendered on the spot.
+   * @private
+   * @param {Function} fn - Called after the frame; may return a promise
+   * @returns {Promise<*>} What fn returned
+   */
+  _afterNextFrame(fn) {
+    if (this.renderLoop.isPaused()) {
+      this.renderLoop.renderOnce()
+      return Promise.resolve().then(fn)
+    }
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        off()
+        reject(new Error('No frame was rendered'))
+      }, 2000)
+      const off = this.renderLoop.onFrame(() => {
+        off()
+        clearTimeout(timeout)
+        Promise.resolve().then(fn).then(resolve, reject)
+      })
+    })
+  }
+
+  /**
+   * Collects the program running in every active zone, as one block of Punctual code.
+   * Uses the text Punctual was given, so includes and crossfades are already in it.
+   * @private
+   * @returns {string} The programs with `-- zone N` markers, or an empty string
+   */
+  _runningPrograms() {
+    return this.zones.getActiveZones().map(zone => {
+      const program = this._zonePrograms.get(zone)
+      return program ? '-- zone ' + zone + '\n' + program.text.trim() : null
+    }).filter(Boolean).join('\n\n')
+  }
+
+  /**
+   * Shows or hides the performance overlay (frame times, audio, tempo, zones).
+   */
+  togglePerformanceHud() {
+    if (!this.renderLoop) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    this.perfHud.toggle()
+  }
+
+  /**
+   * Gathers the non-frame stats for the performance overlay.
+   * @private
+   * @returns {{audioState: string, baseLatency: number|undefined, cps: number|null, phase: number|null, zones: number, scale: number}} The stats
+   */
+  _perfInfo() {
+    const ctx = this.audio ? this.audio.getContext() : null
+    const cycle = this.tempoSync.cycleAt(this.tempoSync.nowPosixSeconds())
+    return {
+      audioState: this.audio ? this.audio.getState() : 'none',
+      baseLatency: ctx ? ctx.baseLatency : undefined,
+      cps: this.tempoSync.getCps(),
+      phase: cycle === null ? null : cycle - Math.floor(cycle),
+      zones: this.zones.getActiveZones().length,
+      scale: this.adaptiveScale.scale
+    }
+  }
+
+  /**
+   * Applies all the visual output settings to the canvas and render loop.
+   * @private
+   */
+  _applyOutputSettings() {
+    this._applyCanvasVisibility()
+    this._applyCanvasLook()
+    this._applyPaneBounds()
+    this._applyRenderSettings()
+  }
+
+  /**
+   * Changes the canvas opacity setting by a step.
+   * @param {number} delta - Amount to add, e.g. 0.1 or -0.1
+   */
+  adjustCanvasOpacity(delta) {
+    const key = 'pulsar-punctual.output.canvasOpacity'
+    const current = atom.config.get(key)
+    const next = Math.round(Math.min(1, Math.max(0, (typeof current === 'number' ? current : 1) + delta)) * 100) / 100
+    atom.config.set(key, next)
+    this.log('Canvas opacity: ' + Math.round(next * 100) + '%', 'text-info')
+  }
+
+  /**
+   * Steps to the next blend mode for the code over the visuals.
+   */
+  cycleBlendMode() {
+    const key = 'pulsar-punctual.output.blendMode'
+    const current = atom.config.get(key) || 'normal'
+    const next = BLEND_MODES[(BLEND_MODES.indexOf(current) + 1) % BLEND_MODES.length]
+    atom.config.set(key, next)
+    this.log('Blend mode: ' + next, 'text-info')
+  }
+
+  /**
+   * Steps through the pointer sources fed to Punctual's mouse inputs.
+   */
+  cyclePointerSource() {
+    const key = 'pulsar-punctual.input.pointerSource'
+    const sources = ['mouse', 'textCursor', 'off']
+    const labels = { mouse: 'mouse', textCursor: 'text cursor', off: 'off' }
+    const current = atom.config.get(key) || 'mouse'
+    const next = sources[(sources.indexOf(current) + 1) % sources.length]
+    atom.config.set(key, next)
+    this.log('Pointer source: ' + labels[next], 'text-info')
+  }
+
+  /**
+   * Switches between visuals over the whole window and only behind the active pane.
+   */
+  toggleConfineToPane() {
+    const key = 'pulsar-punctual.output.confineToPane'
+    const next = !atom.config.get(key)
+    atom.config.set(key, next)
+    this.log(next ? 'Visuals confined to the active pane' : 'Visuals fill the window', 'text-info')
+  }
+
+  /**
+   * Applies opacity, blend mode and focus dimming from the settings.
+   * Only the look in the editor changes; the output window and recordings stay untouched.
+   * @private
+   */
+  _applyCanvasLook() {
+    if (!this.canvas) return
+    const base = 'pulsar-punctual.output'
+    const opacity = atom.config.get(`${base}.canvasOpacity`)
+    this.canvas.style.opacity = typeof opacity === 'number' && opacity < 1 ? String(Math.max(0, opacity)) : ''
+
+    const blend = atom.config.get(`${base}.blendMode`) || 'normal'
+    if (blend === 'normal') document.body.style.removeProperty('--punctual-blend-mode')
+    else document.body.style.setProperty('--punctual-blend-mode', blend)
+
+    const brightness = atom.config.get(`${base}.focusedBrightness`)
+    const dim = typeof brightness === 'number' && brightness < 1 && this._editorFocused()
+    this.canvas.style.filter = dim ? `brightness(${Math.max(0, brightness)})` : ''
+  }
+
+  /**
+   * Re-applies the canvas look whenever focus moves in or out of an editor.
+   * @private
+   */
+  _watchEditorFocus() {
+    if (this._canvasSubs) this._canvasSubs.dispose()
+    const onFocus = () => this._applyCanvasLook()
+    document.addEventListener('focusin', onFocus)
+    document.addEventListener('focusout', onFocus)
+    this._canvasSubs = new CompositeDisposable(new Disposable(() => {
+      document.removeEventListener('focusin', onFocus)
+      document.removeEventListener('focusout', onFocus)
+    }))
+  }
+
+  /**
+   * Checks whether a text editor has keyboard focus.
+   * @private
+   * @returns {boolean} True if the focused element is inside an editor
+   */
+  _editorFocused() {
+    const el = document.activeElement
+    return !!(el && typeof el.closest === 'function' && el.closest('atom-text-editor'))
+  }
+
+  /**
+   * Starts or stops following the active pane's bounds, depending on the setting.
+   * @private
+   */
+  _applyPaneBounds() {
+    const confine = !!atom.config.get('pulsar-punctual.output.confineToPane')
+    if (confine && this.canvas && !this._paneSubs) {
+      const observer = new ResizeObserver(() => this._updatePaneBounds())
+      const onResize = () => this._updatePaneBounds()
+      let observed = null
+      window.addEventListener('resize', onResize)
+      this._paneSubs = new CompositeDisposable(new Disposable(() => {
+        observer.disconnect()
+        window.removeEventListener('resize', onResize)
+      }))
+      this._paneSubs.add(atom.workspace.getCenter().observeActivePane(pane => {
+        if (observed) observer.unobserve(observed)
+        observed = pane ? atom.views.getView(pane) : null
+        if (observed) observer.observe(observed)
+        this._updatePaneBounds()
+      }))
+    } else if (!confine && this._paneSubs) {
+      this._paneSubs.dispose()
+      this._paneSubs = null
+      this._paneBounds = null
+      this._layoutCanvas()
+    }
+  }
+
+  /**
+   * Measures the active pane and moves the canvas over it.
+   * @private
+   */
+  _updatePaneBounds() {
+    const pane = atom.workspace.getCenter().getActivePane()
+    const el = pane ? atom.views.getView(pane) : null
+    const r = el ? el.getBoundingClientRect() : null
+    this._paneBounds = r && r.width > 0 && r.height > 0
+      ? { left: r.left, top: r.top, width: r.width, height: r.height }
+      : null
+    this._layoutCanvas()
+  }
+
+  /**
+   * Applies the frame rate cap, plus render scale and adaptive quality if either of them changed.
+   * @private
+   */
+  _applyRenderSettings() {
+    const base = 'pulsar-punctual.output'
+    const maxFps = atom.config.get(`${base}.maxFps`) || 0
+    const budget = atom.config.get(`${base}.frameBudget`) || 20
+    const settings = {
+      maxScale: atom.config.get(`${base}.renderScale`) || 1,
+      // A frame rate cap makes frames slow on purpose; don't count that as load
+      budgetMs: maxFps > 0 ? Math.max(budget, 1100 / maxFps) : budget,
+      enabled: !!atom.config.get(`${base}.adaptiveQuality`)
+    }
+    if (this.renderLoop) this.renderLoop.setMaxFps(maxFps)
+    // Configuring resets the adaptive scale, so leave it alone when only the look changed.
+    // Settings changed while stopped aren't remembered, so start() still applies them.
+    const key = JSON.stringify(settings)
+    if (key === this._renderSettingsKey) return
+    if (this.renderLoop && this.canvas) this._renderSettingsKey = key
+    this.adaptiveScale.configure(settings)
+    this._setRenderScale(this.adaptiveScale.scale)
+  }
+
+  /**
+   * Renders the canvas at a fraction (or multiple) of its area and scales it back with CSS.
+   * @private
+   * @param {number} scale - Render scale, 0.25 to 1 normally; snapshots go higher
+   */
+  _setRenderScale(scale) {
+    this._renderScale = scale
+    this._layoutCanvas()
+  }
+
+  /**
+   * Places the canvas (and the blackout layer) over the whole window or the active pane,
+   * sized by the render scale. The canvas' layout size is what changes, so Punctual
+   * allocates a matching drawing buffer, and a CSS transform stretches it back.
+   * @private
+   */
+  _layoutCanvas() {
+    if (!this.canvas) return
+    const scale = this._renderScale
+    const bounds = this._paneBounds
+    // The stylesheet places the canvas with !important, so inline values need it too
+    const set = (style, prop, value) => value === null ? style.removeProperty(prop) : style.setProperty(prop, value, 'important')
+
+    for (const el of [this.canvas, this.blackoutLayer]) {
+      if (!el) continue
+      set(el.style, 'left', bounds ? bounds.left + 'px' : null)
+      set(el.style, 'top', bounds ? bounds.top + 'px' : null)
+    }
+    if (this.blackoutLayer) {
+      set(this.blackoutLayer.style, 'width', bounds ? bounds.width + 'px' : null)
+      set(this.blackoutLayer.style, 'height', bounds ? bounds.height + 'px' : null)
+    }
+
+    const style = this.canvas.style
+    if (!bounds && scale === 1) {
+      style.removeProperty('width')
+      style.removeProperty('height')
+      style.removeProperty('transform')
+      style.removeProperty('transform-origin')
+      return
+    }
+    set(style, 'width', bounds ? (bounds.width * scale) + 'px' : (scale * 100) + 'vw')
+    set(style, 'height', bounds ? (bounds.height * scale) + 'px' : (scale * 100) + 'vh')
+    if (scale === 1) {
+      style.removeProperty('transform')
+      style.removeProperty('transform-origin')
+    } else {
+      style.setProperty('transform', 'scale(' + (1 / scale) + ')')
+      style.setProperty('transform-origin', '0 0')
+    }
+  }
+
+  /**
+   * Shows or hides the visuals behind the editor, following the output settings.
+   * The canvas only gets `visibility: hidden` so it keeps its size and keeps rendering
+   * for the output window.
+   * @private
+   */
+  _applyCanvasVisibility() {
+    if (!this.canvas) return
+    const mode = atom.config.get('pulsar-punctual.output.windowMode')
+    const showInEditor = atom.config.get('pulsar-punctual.output.showEditorCanvas') !== false
+    const moved = mode === 'move' && this.outputWindow.isOpen()
+    const visible = showInEditor && !moved
+    this.canvas.style.visibility = visible ? '' : 'hidden'
+    document.body.classList.toggle('punctual-enabled', visible)
+  }
+
+  /**
+   * Turns performance mode on or off: hides tabs, docks, panels, gutters and scrollbars,
+   * puts a backdrop behind each line and optionally enlarges the font.
+   * Unlike toggleVisibility, everything is restored exactly on exit.
+   */
+  togglePerformanceMode() {
+    this.performanceMode.toggle()
+  }
+
+  /**
+   * Clears the zone that the current block in the active editor would evaluate into.
+   * Leaves every other zone running.
+   *
+   * @returns {Promise<void>}
+   */
+  async clearZone() {
+    if (!this.punctual) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    const zone = this._currentZone()
+    if (await this._clearZone(zone)) this.log('Cleared zone ' + zone, 'text-info')
+  }
+
+  /**
+   * Clears a zone in Punctual and marks it inactive.
+   *
+   * @private
+   * @param {number} zone - The zone number
+   * @returns {Promise<boolean>} True if the zone was cleared
+   */
+  async _clearZone(zone) {
+    try {
+      if (typeof this.punctual.clear === 'function') {
+        this.punctual.clear({zone})
+      } else {
+        await this.punctual.define({zone, text: '', time: Date.now() / 1000.0})
+      }
+      this.zones.markCleared(zone)
+      this._zonePrograms.delete(zone)
+      this._goodPrograms.delete(zone)
+      return true
+    } catch (e) {
+      this.log('Could not clear zone ' + zone + ': ' + (e && e.message ? e.message : e), 'text-error')
+      return false
+    }
+  }
+
+  /**
+   * Works out the zone the current block in the active editor would evaluate into.
+   *
+   * @private
+   * @returns {number} The zone number (0 if there's no active editor)
+   */
+  _currentZone() {
+    const editor = atom.workspace.getActiveTextEditor()
+    if (!editor) return 0
+    const range = this.getEvalBlockRange(editor)
+    return this.zones.resolve(editor, range ? editor.getTextInBufferRange(range) : '')
+  }
+
+  /**
+   * Re-defines a program from a zone's history and moves the history cursor to it.
+   *
+   * @private
+   * @param {number} zone - The zone number
+   * @param {{index: number, entry: Object}} target - The history entry to restore
+   * @returns {Promise<boolean>} True if Punctual accepted the program
+   */
+  async _restoreFromHistory(zone, target) {
+    const ok = await this._eval(target.entry.text, { zone, label: target.entry.label, filePath: target.entry.filePath, record: false })
+    if (ok) {
+      this.history.moveTo(zone, target.index)
+      const when = new Date(target.entry.time).toLocaleTimeString()
+      this.log('Zone ' + zone + ' restored to program from ' + when, 'text-info')
+    }
+    return ok
+  }
+
+  /**
+   * Rolls the current zone back to the last good program before the newest one.
+   *
+   * @returns {Promise<void>}
+   */
+  async revert() {
+    const zone = this._currentZone()
+    const target = this.history.previousOfLatest(zone)
+    if (!target) {
+      this.log('Nothing to revert to in zone ' + zone, 'text-warning')
+      return
+    }
+    await this._restoreFromHistory(zone, target)
+  }
+
+  /**
+   * Steps the current zone one program back in its history.
+   *
+   * @returns {Promise<void>}
+   */
+  async historyBack() {
+    const zone = this._currentZone()
+    const target = this.history.peek(zone, -1)
+    if (!target) {
+      this.log('Already at the oldest program in zone ' + zone, 'text-warning')
+      return
+    }
+    await this._restoreFromHistory(zone, target)
+  }
+
+  /**
+   * Steps the current zone one program forward in its history.
+   *
+   * @returns {Promise<void>}
+   */
+  async historyForward() {
+    const zone = this._currentZone()
+    const target = this.history.peek(zone, 1)
+    if (!target) {
+      this.log('Already at the newest program in zone ' + zone, 'text-warning')
+      return
+    }
+    await this._restoreFromHistory(zone, target)
+  }
+
+  /**
+   * Opens a picker listing the current zone's history, newest first.
+   * Choosing an entry re-defines that program.
+   *
+   * @returns {Promise<void>}
+   */
+  async showHistory() {
+    const zone = this._currentZone()
+    const cursor = this.history.cursor(zone)
+    const items = this.history.entries(zone)
+      .map((entry, index) => ({ zone, index, entry, current: index === cursor }))
+      .reverse()
+    if (!this.historyPicker) this.historyPicker = createHistoryPicker()
+    await this.historyPicker.show(items, (item) => this._restoreFromHistory(item.zone, item))
+  }
+
+  /**
+   * Logs all zones that currently have a program defined, with where each program came from.
+   */
+  listZones() {
+    const zones = this.zones.getActiveZones()
+    if (!zones.length) {
+      this.log('No active zones', 'text-info')
+      return
+    }
+    const lines = zones.map(zone => {
+      const label = this.zones.getLabel(zone)
+      return 'zone ' + zone + (label ? ' (' + label + ')' : '')
+    })
+    this.log('Active zones:\n' + lines.join('\n'), 'text-info')
+  }
+
+  /**
+   * Opens a picker with the audio inputs (microphones, line-ins, monitor sources) and
+   * routes the chosen one into Punctual's input analysis. The choice is saved in the settings.
+   *
+   * @returns {Promise<void>}
+   */
+  async selectInputDevice() {
+    if (!this.audio || !this.audio.getContext()) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    const key = 'pulsar-punctual.audio.inputDevice'
+    const current = atom.config.get(key) || ''
+    const devices = await this.audio.listDevices('audioinput')
+    const items = [{ name: 'No input', value: '', detail: 'Punctual gets no audio input', current: !current }]
+      .concat(devices.map(device => this._deviceItem(device, current)))
+    if (!this.devicePicker) this.devicePicker = createDevicePicker()
+    await this.devicePicker.show(items, (item) => atom.config.set(key, item.value))
+  }
+
+  /**
+   * Opens a picker with the audio outputs and sends Punctual's audio to the chosen one,
+   * leaving the system default alone. The choice is saved and applied on every start.
+   *
+   * @returns {Promise<void>}
+   */
+  async selectOutputDevice() {
+    if (!this.audio || !this.audio.getContext()) {
+      this.log('Punctual not initialized', 'text-error')
+      return
+    }
+    const key = 'pulsar-punctual.audio.outputDevice'
+    const current = atom.config.get(key) || ''
+    const devices = (await this.audio.listDevices('audiooutput')).filter(device => device.deviceId !== 'default')
+    const items = [{ name: 'System default', value: '', detail: 'Follow the system output', current: !current }]
+      .concat(devices.map(device => this._deviceItem(device, current)))
+    if (!this.devicePicker) this.devicePicker = createDevicePicker()
+    await this.devicePicker.show(items, (item) => atom.config.set(key, item.value))
+  }
+
+  /**
+   * Sends Punctual's audio to the output device from the settings.
+   * Falls back to the system default, with a warning, when the saved device is missing.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _applyOutputDevice() {
+    if (!this.audio || !this.audio.getContext()) return
+    const name = atom.config.get('pulsar-punctual.audio.outputDevice') || ''
+    try {
+      // Nothing chosen: only switch back if an earlier choice moved the output
+      if (!name) {
+        await this.audio.setOutputDevice('')
+        return
+      }
+      const device = await this.audio.findDevice('audiooutput', name)
+      if (!device) {
+        await this.audio.setOutputDevice('')
+        this.log(`Audio output "${name}" is not connected; playing on the system default. Plug it in and run pulsar-punctual:selectOutputDevice, or pick another.`, 'text-warning')
+        return
+      }
+      await this.audio.setOutputDevice(device.deviceId)
+      this.log('Audio output: ' + name, 'text-info')
+    } catch (e) {
+      this.log('Could not switch audio output to "' + name + '": ' + (e && e.message ? e.message : e), 'text-error')
+    }
+  }
+
+  /**
+   * Builds a picker item for an audio device.
+   * Devices are saved by name, since names survive reboots and read well in the settings.
+   *
+   * @private
+   * @param {MediaDeviceInfo} device - The device
+   * @param {string} current - The saved device name
+   * @returns {{name: string, value: string, detail: string, current: boolean}} The picker item
+   */
+  _deviceItem(device, current) {
+    if (device.deviceId === 'default') {
+      return { name: 'System default', value: 'default', detail: device.label, current: current === 'default' }
+    }
+    const name = device.label || device.deviceId
+    return { name, value: name, detail: '', current: current === name }
+  }
+
+  /**
+   * Applies the safety limiter settings to the running audio.
+   * @private
+   */
+  _applyLimiter() {
+    if (!this.audio || !this.audio.getContext()) return
+    this.audio.setLimiter(
+      atom.config.get('pulsar-punctual.audio.limiter') !== false,
+      atom.config.get('pulsar-punctual.audio.limiterCeiling')
+    )
+  }
+
+  /**
+   * Shows or hides the output meter, following the setting while audio is running.
+   * @private
+   */
+  _applyOutputMeter() {
+    const running = this.audio && this.audio.getContext()
+    if (running && atom.config.get('pulsar-punctual.audio.showOutputMeter') !== false) this.outputMeter.start()
+    else this.outputMeter.stop()
+  }
+
+  /**
+   * Opens the input device from the settings (or closes the input) and meters it.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _applyInputDevice() {
+    if (!this.audio || !this.audio.getContext()) return
+    const name = atom.config.get('pulsar-punctual.audio.inputDevice') || ''
+    this.inputMeter.stop()
+    try {
+      if (!name) {
+        if (this.audio.hasInput()) this.log('Audio input closed', 'text-info')
+        await this.audio.setInputDevice(null)
+        return
+      }
+      const device = await this.audio.findDevice('audioinput', name)
+      if (!device) {
+        await this.audio.setInputDevice(null)
+        this.log(`Audio input "${name}" is not connected. Pick another with pulsar-punctual:selectInputDevice`, 'text-warning')
+        return
+      }
+      const label = await this.audio.setInputDevice(device.deviceId)
+      if (!this.audio.connectPunctualInput(this.punctual)) {
+        this.log('This Punctual build does not accept an input node; audio input is metered but not analysed', 'text-warning')
+      }
+      this.inputMeter.start()
+      this.log('Audio input: ' + label, 'text-info')
+    } catch (e) {
+      this.log('Could not open audio input "' + name + '": ' + (e && e.message ? e.message : e), 'text-error')
+    }
+  }
+
+  /**
+   * Sets the master volume for Punctual's audio output.
+   * 
+   * @param {number} volume - The volume level (typically 0-100)
+   */
+  setMasterVolume(volume) {
+    if (!this.audio) {
+      this.log('Audio service not initialized', 'text-warning')
+      return
+    }
+    this.audio.setMasterVolume(volume)
+  }
+
+  /**
+   * Bumps up the master volume by 5 units.
+   * Uses AudioService if it's available, otherwise updates the config directly.
+   */
+  increaseMasterVolume() {
+    if (this.audio && typeof this.audio.increaseMasterVolume === 'function') {
+      this.audio.increaseMasterVolume()
+    } else {
+      const currentVolume = atom.config.get('pulsar-punctual.masterVolume')
+      const volume = (currentVolume !== null && currentVolume !== undefined) ? currentVolume : 70
+      this.setMasterVolume(volume + 5)
+    }
+  }
+
+  /**
+   * Drops the master volume by 5 units.
+   * Uses AudioService if it's available, otherwise updates the config directly.
+   */
+  decreaseMasterVolume() {
+    if (this.audio && typeof this.audio.decreaseMasterVolume === 'function') {
+      this.audio.decreaseMasterVolume()
+    } else {
+      const currentVolume = atom.config.get('pulsar-punctual.masterVolume')
+      const volume = (currentVolume !== null && currentVolume !== undefined) ? currentVolume : 70
+      this.setMasterVolume(volume - 5)
+    }
+  }
+
+  /**
+   * Gets the current master volume level.
+   * 
+   * @returns {number} The current volume level (0-100)
+   */
+  getMasterVolume() {
+    if (this.audio && typeof this.audio.getMasterVolume === 'function') {
+      return this.audio.getMasterVolume()
+    }
+    return atom.config.get('pulsar-punctual.masterVolume') || 70
+  }
+
+  /**
+   * Emergency audio silence function.
+   * Fades out the master volume, then takes the audio outputs out of every zone playing audio,
+   * keeping its visuals (or replaces every zone with '0 >> add;' when Clear Visuals is on). With Auto
+   * Restore on, the volume comes back once all of those zones have actually been replaced, by the
+   * silence or by new code that has finished crossfading in.
+   * 
+   * @returns {Promise<void>}
+   */
+  async panic() {
+    const base = 'pulsar-punctual.panic'
+    const fade = Math.max(0, atom.config.get(`${base}.fadeSeconds`) || 0)
+    const clearVisuals = atom.config.get(`${base}.clearVisuals`) === true
+    this.log('PANIC: Silencing all audio' + (clearVisuals ? ' and visuals' : ''), 'text-warning')
+    if (this.audio) this.audio.panic(fade)
+
+    const pending = new Set()
+    const replacements = []
+    for (const zone of this.punctual ? this.zones.getActiveZones() : []) {
+      const program = this._zonePrograms.get(zone)
+      const text = panicProgram({ text: program ? program.text : null, playsAudio: this._zonePlaysAudio(zone), clearVisuals })
+      if (!text) continue
+      pending.add(zone)
+      replacements.push({ zone, text })
+    }
+    this._panicPending = pending
+
+    // Let the fade finish before the programs change, so nothing cuts off
+    if (fade > 0) await new Promise(resolve => setTimeout(resolve, fade * 1000))
+    // Unpanicked, panicked again or stopped in the meantime
+    if (this._panicPending !== pending || !this.punctual) return
+
+    for (const { zone, text } of replacements) {
+      // Already replaced by new code during the fade; don't overwrite it with silence
+      if (!pending.has(zone)) continue
+      try {
+        const time = Date.now() / 1000.0
+        await this.punctual.define({ zone, text, time })
+        this._zonePrograms.set(zone, { code: text, text, label: this.zones.getLabel(zone), filePath: null, landsAt: time })
+        pending.delete(zone)
+      } catch (e) {
+        this.log(`Could not silence zone ${zone}: ${e && e.message ? e.message : e}. Evaluate new code there to end the panic`, 'text-error')
+      }
+    }
+    this._restoreAfterPanic()
+  }
+
+  /**
+   * Ends a panic: fades the master volume back in, whether or not the panicked zones have been replaced.
+   */
+  unpanic() {
+    this._panicPending = null
+    const fade = Math.max(0, atom.config.get('pulsar-punctual.panic.fadeSeconds') || 0)
+    if (!this.audio || !this.audio.unpanic(fade)) {
+      this.log('Audio is not panicked', 'text-warning')
+    }
+  }
+
+  /**
+   * Guesses whether the program running in a zone makes sound.
+   *
+   * @private
+   * @param {number} zone - The zone number
+   * @returns {boolean} True if the program last defined there sends to audio, or if it can't tell
+   */
+  _zonePlaysAudio(zone) {
+    const program = this._zonePrograms.get(zone)
+    return !program || />>\s*audio\b/.test(program.text)
+  }
+
+  /**
+   * Notes that a zone waiting on a panic got a new program, once it has actually taken over.
+   *
+   * @private
+   * @param {number} zone - The zone number
+   * @param {number} delaySeconds - How long until the new program has landed (quantized evals land later)
+   *   and finished crossfading in over the old one
+   */
+  _panicZoneReplaced(zone, delaySeconds) {
+    if (!this._panicPending || !this._panicPending.has(zone)) return
+    const pending = this._panicPending
+    setTimeout(() => {
+      if (this._panicPending !== pending || !pending.delete(zone)) return
+      this._restoreAfterPanic()
+    }, Math.max(0, delaySeconds) * 1000)
+  }
+
+  /**
+   * Brings the volume back after a panic once no zone is waiting to be replaced, if Auto Restore is on.
+   *
+   * @private
+   */
+  _restoreAfterPanic() {
+    if (!this._panicPending || this._panicPending.size) return
+    if (atom.config.get('pulsar-punctual.panic.autoRestore') === false) return
+    // Audio never started, or was already unpanicked: nothing to bring back
+    if (!this.audio || !this.audio.isPanicked()) {
+      this._panicPending = null
+      return
     }
+    this.unpanic()
   }
 
 }
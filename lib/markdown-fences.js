@@ -0,0 +1,93 @@
+'use babel'
+
+/**
+ * @file markdown-fences.js
+ * Finds ```punctual code fences in Markdown (or any other) documents.
+ * Lets lesson notes be evaluated fence by fence without sending the prose.
+ */
+
+/** Matches an opening or closing fence line; group 1 is the fence, group 2 the info string */
+const FENCE_LINE = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/
+
+/** Info strings that mark a fence as Punctual code */
+const PUNCTUAL_INFO = /^(punctual|punc)$/i
+
+/**
+ * Lists every fenced code block in a document.
+ *
+ * @param {string[]} lines - The document's lines
+ * @returns {Array<{info: string, openRow: number, closeRow: number}>} Fences with the rows of their fence lines;
+ *   `closeRow` is the last row + 1 for a fence that is never closed
+ */
+export function listFences(lines) {
+  const fences = []
+  let open = null
+  for (let row = 0; row < lines.length; row++) {
+    const match = FENCE_LINE.exec(lines[row])
+    if (!match) continue
+    if (!open) {
+      open = { fence: match[1], info: match[2], openRow: row }
+    } else if (match[1][0] === open.fence[0] && match[1].length >= open.fence.length && !match[2]) {
+      fences.push({ info: open.info, openRow: open.openRow, closeRow: row })
+      open = null
+    }
+  }
+  if (open) fences.push({ info: open.info, openRow: open.openRow, closeRow: lines.length })
+  return fences
+}
+
+/**
+ * Lists only the Punctual fences in a document.
+ *
+ * @param {string[]} lines - The document's lines
+ * @returns {Array<{info: string, openRow: number, closeRow: number}>} Punctual fences
+ */
+export function listPunctualFences(lines) {
+  return listFences(lines).filter(f => PUNCTUAL_INFO.test(f.info))
+}
+
+/**
+ * Checks whether a document has at least one Punctual fence.
+ *
+ * @param {string} text - The document text
+ * @returns {boolean} True if there's a ```punctual fence
+ */
+export function hasPunctualFence(text) {
+  return typeof text === 'string' && listPunctualFences(text.split('\n')).length > 0
+}
+
+/**
+ * Finds the buffer range of the Punctual fence contents around a row.
+ *
+ * @param {string[]} lines - The document's lines
+ * @param {number} row - The cursor row
+ * @returns {{start: {row: number, column: number}, end: {row: number, column: number}}|null}
+ *   The range of the fence's contents (fence lines excluded), or null if the row isn't inside one
+ */
+export function punctualFenceRangeAt(lines, row) {
+  for (const fence of listPunctualFences(lines)) {
+    if (row > fence.openRow && row < fence.closeRow) {
+      return {
+        start: { row: fence.openRow + 1, column: 0 },
+        end: { row: fence.closeRow, column: 0 }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Keeps only the code inside Punctual fences, blanking every other line.
+ * The result has the same number of lines as the input, so error positions still line up.
+ *
+ * @param {string} text - The document text
+ * @returns {string} The fenced code with everything else blanked
+ */
+export function extractPunctualCode(text) {
+  const lines = text.split('\n')
+  const keep = new Array(lines.length).fill(false)
+  for (const fence of listPunctualFences(lines)) {
+    for (let row = fence.openRow + 1; row < fence.closeRow; row++) keep[row] = true
+  }
+  return lines.map((line, row) => keep[row] ? line : '').join('\n')
+}
@@ -0,0 +1,107 @@
+'use babel'
+
+/**
+ * @file media-paths.js
+ * Resolves relative texture paths (`img "textures/grain.png"`) against the file they're written in.
+ * Turns them into file:// URLs Punctual can load, and catches missing files before evaluation.
+ */
+
+import { maskText } from './scanner.js'
+import { expandHome } from './preprocessor.js'
+
+const fs = require('fs')
+const path = require('path')
+const { pathToFileURL } = require('url')
+
+/** Punctual functions that take a media URL string, followed by the (masked) string */
+const MEDIA_CALL = /\b(img|vid|gif)\s+"(_*)"/g
+
+/** A URL scheme like `https:` or `data:`; single letters are Windows drive letters */
+const URL_SCHEME = /^[a-z][a-z0-9+.-]+:/i
+
+/**
+ * Raised when a media file doesn't exist or can't be resolved.
+ * `line` and `column` are 0-based and point at the path inside the evaluated code.
+ */
+export class MediaPathError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} line - 0-based line of the path in the evaluated code
+   * @param {number} column - 0-based column of the path
+   */
+  constructor(message, line, column) {
+    super(message)
+    this.name = 'MediaPathError'
+    this.line = line
+    this.column = column
+  }
+}
+
+/**
+ * Checks whether some code loads any media, so the common case can skip the work.
+ *
+ * @param {string} text - Punctual source
+ * @returns {boolean} True if there's an `img`, `vid` or `gif` call with a string
+ */
+export function hasMediaPaths(text) {
+  return typeof text === 'string' && /\b(img|vid|gif)\s+"/.test(text)
+}
+
+/**
+ * Rewrites local media paths to file:// URLs.
+ * Relative paths resolve against the folder of the file each line came from (so paths in
+ * included files work too); URLs with a scheme are left alone. Paths in comments are ignored.
+ *
+ * @param {string} text - The code being evaluated (after include expansion)
+ * @param {Object} [options]
+ * @param {string|null} [options.filePath] - Path of the file the code belongs to, if saved
+ * @param {Array<{file: string|null}>|null} [options.lineMap] - Line map from include expansion
+ * @returns {string} The code with local paths replaced
+ * @throws {MediaPathError} When a file doesn't exist, or a relative path is used in an unsaved file
+ */
+export function resolveMediaPaths(text, { filePath = null, lineMap = null } = {}) {
+  const lines = text.split('\n')
+  const masked = maskText(text).split('\n')
+  return lines.map((line, i) => {
+    const entry = lineMap ? lineMap[i] : null
+    const source = entry && entry.file ? entry.file : filePath
+    const baseDir = source ? path.dirname(source) : null
+    let out = ''
+    let last = 0
+    MEDIA_CALL.lastIndex = 0
+    let match
+    while ((match = MEDIA_CALL.exec(masked[i])) !== null) {
+      const start = match.index + match[0].length - match[2].length - 1
+      const end = start + match[2].length
+      const url = resolveOne(line.slice(start, end), baseDir, i, start)
+      out += line.slice(last, start) + url
+      last = end
+    }
+    return out + line.slice(last)
+  }).join('\n')
+}
+
+/**
+ * Resolves a single media path.
+ *
+ * @param {string} name - The path as written
+ * @param {string|null} baseDir - Folder to resolve relative paths against
+ * @param {number} line - 0-based line, for errors
+ * @param {number} column - 0-based column, for errors
+ * @returns {string} The URL to hand to Punctual
+ * @throws {MediaPathError} When the file can't be found
+ */
+function resolveOne(name, baseDir, line, column) {
+  if (!name || URL_SCHEME.test(name)) return name
+  const expanded = expandHome(name)
+  if (!path.isAbsolute(expanded) && !baseDir) {
+    throw new MediaPathError('Save the file to use relative media paths: "' + name + '"', line, column)
+  }
+  const target = path.resolve(baseDir || '/', expanded)
+  let found = false
+  try {
+    found = fs.statSync(target).isFile()
+  } catch (_) {}
+  if (!found) throw new MediaPathError('Media file not found: "' + name + '"', line, column)
+  return pathToFileURL(target).href
+}
@@ -0,0 +1,154 @@
+'use babel'
+
+/**
+ * @file output-window.js
+ * Separate frameless window showing Punctual's visuals without the editor.
+ * Meant for projectors and second screens; copies each rendered frame across.
+ */
+
+/** Name of the child window, so reopening reuses it */
+const WINDOW_NAME = 'punctual-output'
+
+/**
+ * Output window for clean visuals.
+ * Opens a same-origin child window holding a single canvas and copies the Punctual
+ * canvas into it after every frame, letterboxed to keep the aspect ratio.
+ */
+export default class OutputWindow {
+  /**
+   * Creates a new OutputWindow. Nothing opens until open() is called.
+   * @param {Function} [log] - Optional logging function that takes (message, cssClass) parameters
+   * @param {Function} [onClosed] - Called when the window is closed, including by the user
+   */
+  constructor(log = () => {}, onClosed = () => {}) {
+    this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
+    this.onClosed = onClosed
+    this.popup = null
+    this.canvas = null
+    this.context = null
+  }
+
+  /**
+   * Checks whether the output window is open.
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !!(this.popup && !this.popup.closed)
+  }
+
+  /**
+   * Opens the output window, or focuses it if it's already open.
+   * @returns {boolean} True if the window is open afterwards
+   */
+  open() {
+    if (this.isOpen()) {
+      this.popup.focus()
+      return true
+    }
+    const features = 'width=1280,height=720,frame=false,backgroundColor=#000000,autoHideMenuBar=true'
+    const popup = window.open('about:blank', WINDOW_NAME, features)
+    if (!popup) {
+      this.log('Could not open the output window', 'text-error')
+      return false
+    }
+
+    const doc = popup.document
+    doc.title = 'Punctual Output'
+    Object.assign(doc.body.style, {
+      margin: '0',
+      overflow: 'hidden',
+      background: '#000',
+      cursor: 'none',
+      WebkitAppRegion: 'drag'
+    })
+    this.canvas = doc.createElement('canvas')
+    Object.assign(this.canvas.style, { display: 'block', width: '100vw', height: '100vh' })
+    doc.body.appendChild(this.canvas)
+    this.context = this.canvas.getContext('2d')
+
+    doc.addEventListener('dblclick', () => this.toggleFullscreen())
+    doc.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && doc.fullscreenElement) doc.exitFullscreen()
+    })
+    popup.addEventListener('beforeunload', () => this._closed())
+
+    this.popup = popup
+    this.log('Output window opened (double-click it to go fullscreen)', 'text-info')
+    return true
+  }
+
+  /**
+   * Closes the output window.
+   */
+  close() {
+    if (this.popup && !this.popup.closed) {
+      try { this.popup.close() } catch (_) {}
+    }
+    this._closed()
+  }
+
+  /**
+   * Toggles fullscreen in the output window.
+   */
+  toggleFullscreen() {
+    if (!this.isOpen()) return
+    const doc = this.popup.document
+    try {
+      if (doc.fullscreenElement) doc.exitFullscreen()
+      else doc.documentElement.requestFullscreen()
+    } catch (e) {
+      this.log('Could not toggle fullscreen: ' + (e && e.message ? e.message : e), 'text-warning')
+    }
+  }
+
+  /**
+   * Fades the output window's picture to black or back.
+   * @param {boolean} dark - True to fade to black
+   * @param {number} [seconds=0] - Fade time
+   */
+  setBlackout(dark, seconds = 0) {
+    if (!this.canvas) return
+    this.canvas.style.transition = `opacity ${Math.max(0, seconds)}s linear`
+    this.canvas.style.opacity = dark ? '0' : ''
+  }
+
+  /**
+   * Copies the current frame of the Punctual canvas into the output window.
+   * Must run right after rendering, while the WebGL canvas still holds the frame.
+   * @param {HTMLCanvasElement} source - The canvas Punctual renders into
+   */
+  draw(source) {
+    if (!this.popup) return
+    if (this.popup.closed) {
+      this._closed()
+      return
+    }
+    if (!source || !source.width || !source.height) return
+
+    const dpr = this.popup.devicePixelRatio || 1
+    const width = Math.round(this.popup.innerWidth * dpr)
+    const height = Math.round(this.popup.innerHeight * dpr)
+    if (this.canvas.width !== width) this.canvas.width = width
+    if (this.canvas.height !== height) this.canvas.height = height
+
+    const scale = Math.min(width / source.width, height / source.height)
+    const w = source.width * scale
+    const h = source.height * scale
+    const ctx = this.context
+    ctx.fillStyle = '#000'
+    ctx.fillRect(0, 0, width, height)
+    ctx.drawImage(source, (width - w) / 2, (height - h) / 2, w, h)
+  }
+
+  /**
+   * Forgets the window and lets the owner know it's gone.
+   * @private
+   */
+  _closed() {
+    if (!this.popup) return
+    this.popup = null
+    this.canvas = null
+    this.context = null
+    try { this.onClosed() } catch (_) {}
+  }
+}
@@ -0,0 +1,54 @@
+'use babel'
+
+/**
+ * @file panic-program.js
+ * Builds the programs panic puts in place of running ones.
+ * Audio goes silent straight away; visuals are kept unless they're being cleared too.
+ */
+
+import { maskText, splitStatements } from './scanner.js'
+
+/** Silences a zone's audio without a crossfade, so the old sound can't fade out over the panic */
+export const SILENCE_AUDIO = '0 >> audio <> 0;'
+
+/** Clears a zone's visuals */
+export const CLEAR_VISUALS = '0 >> add;'
+
+/** Matches a statement that sends to the audio output */
+const AUDIO_OUTPUT = />>\s*audio\b/
+
+/**
+ * Removes every statement that sends to audio, keeping definitions and visual outputs.
+ *
+ * @param {string} text - Punctual source
+ * @returns {string} The source without its audio outputs
+ */
+export function withoutAudio(text) {
+  const masked = maskText(text)
+  let out = ''
+  let from = 0
+  for (const { start, end } of splitStatements(text)) {
+    if (!AUDIO_OUTPUT.test(masked.slice(start, end))) continue
+    out += text.slice(from, start)
+    // Take the terminating `;` along with the statement
+    from = Math.min(text.length, end + 1)
+  }
+  return out + text.slice(from)
+}
+
+/**
+ * Builds the program panic defines in a zone.
+ *
+ * @param {Object} options
+ * @param {string|null} options.text - The program running in the zone, or null if unknown
+ * @param {boolean} options.playsAudio - Whether the zone makes sound (or might)
+ * @param {boolean} options.clearVisuals - Whether to clear the zone's visuals too
+ * @returns {string|null} The program, or null if the zone can be left alone
+ */
+export function panicProgram({ text, playsAudio, clearVisuals }) {
+  if (clearVisuals) return playsAudio ? SILENCE_AUDIO + '\n' + CLEAR_VISUALS : CLEAR_VISUALS
+  if (!playsAudio) return null
+  const visuals = text ? withoutAudio(text).trim() : ''
+  // Silence first: it ends in `;`, whatever the kept code ends in
+  return visuals ? SILENCE_AUDIO + '\n' + visuals : SILENCE_AUDIO
+}
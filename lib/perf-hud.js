@@ -0,0 +1,163 @@
+'use babel'
+
+/**
+ * @file perf-hud.js
+ * Performance overlay for when visuals stutter.
+ * Shows frame timing from the render loop next to audio and tempo state.
+ */
+
+/** Frames older than this drop out of the statistics (ms) */
+const WINDOW_MS = 1000
+
+/** How often the overlay text is refreshed (ms) */
+const REFRESH_MS = 250
+
+/**
+ * Sliding window of frame timings.
+ */
+export class FrameStats {
+  /**
+   * Creates an empty FrameStats.
+   */
+  constructor() {
+    this._frames = []
+  }
+
+  /**
+   * Records one rendered frame.
+   * @param {number} dtMs - Time since the previous rendered frame
+   * @param {number} costMs - Time the render function took
+   * @param {number} nowMs - Current time, e.g. performance.now()
+   */
+  add(dtMs, costMs, nowMs) {
+    this._frames.push({ dt: dtMs, cost: costMs, at: nowMs })
+    this._prune(nowMs)
+  }
+
+  /**
+   * Summarizes the frames of the last second.
+   * @param {number} nowMs - Current time
+   * @returns {{fps: number, avgMs: number, worstMs: number, costMs: number}} Frame rate, average and
+   *   worst time between frames, and average render cost; all 0 when nothing was rendered
+   */
+  summary(nowMs) {
+    this._prune(nowMs)
+    const frames = this._frames
+    if (!frames.length) return { fps: 0, avgMs: 0, worstMs: 0, costMs: 0 }
+    let total = 0
+    let worst = 0
+    let cost = 0
+    for (const f of frames) {
+      total += f.dt
+      cost += f.cost
+      if (f.dt > worst) worst = f.dt
+    }
+    return {
+      fps: frames.length * 1000 / WINDOW_MS,
+      avgMs: total / frames.length,
+      worstMs: worst,
+      costMs: cost / frames.length
+    }
+  }
+
+  /**
+   * Forgets all frames.
+   */
+  reset() {
+    this._frames = []
+  }
+
+  /**
+   * Drops frames that fell out of the window.
+   * @private
+   * @param {number} nowMs - Current time
+   */
+  _prune(nowMs) {
+    let i = 0
+    while (i < this._frames.length && nowMs - this._frames[i].at > WINDOW_MS) i++
+    if (i) this._frames.splice(0, i)
+  }
+}
+
+/**
+ * Overlay in the corner of the window with frame, audio and tempo stats.
+ * Frame timings are fed in by the owner; everything else is asked for on refresh.
+ */
+export default class PerfHud {
+  /**
+   * Creates a new PerfHud. It's hidden until toggled on.
+   * @param {Function} getInfo - Returns {audioState, baseLatency, cps, phase, zones, scale}; missing values show as '-'
+   */
+  constructor(getInfo) {
+    this.getInfo = getInfo
+    this.stats = new FrameStats()
+    this.element = null
+    this._timer = null
+  }
+
+  /**
+   * Checks whether the overlay is showing.
+   * @returns {boolean} True if visible
+   */
+  isVisible() {
+    return !!this.element
+  }
+
+  /**
+   * Shows the overlay, or hides it if it's showing.
+   * @returns {boolean} True if it's visible afterwards
+   */
+  toggle() {
+    if (this.element) {
+      this.hide()
+      return false
+    }
+    this.element = document.createElement('div')
+    this.element.classList.add('punctual-hud')
+    document.body.appendChild(this.element)
+    this.stats.reset()
+    this._timer = setInterval(() => this._refresh(), REFRESH_MS)
+    this._refresh()
+    return true
+  }
+
+  /**
+   * Hides the overlay.
+   */
+  hide() {
+    clearInterval(this._timer)
+    this._timer = null
+    if (this.element) this.element.remove()
+    this.element = null
+  }
+
+  /**
+   * Records a rendered frame. Cheap enough to call every frame, and does nothing while hidden.
+   * @param {number} dtMs - Time since the previous rendered frame
+   * @param {number} costMs - Time the render function took
+   */
+  sample(dtMs, costMs) {
+    if (this.element) this.stats.add(dtMs, costMs, performance.now())
+  }
+
+  /**
+   * Rewrites the overlay text.
+   * @private
+   */
+  _refresh() {
+    if (!this.element) return
+    const s = this.stats.summary(performance.now())
+    let info = {}
+    try { info = this.getInfo() || {} } catch (_) {}
+    const num = (n, digits = 1) => (typeof n === 'number' && isFinite(n)) ? n.toFixed(digits) : '-'
+    const latency = typeof info.baseLatency === 'number' ? num(info.baseLatency * 1000) + 'ms' : '-'
+    this.element.textContent = [
+      `fps    ${num(s.fps, 0)}` + (info.scale && info.scale !== 1 ? `  @${Math.round(info.scale * 100)}%` : ''),
+      `frame  ${num(s.avgMs)} avg / ${num(s.worstMs)} worst ms`,
+      `render ${num(s.costMs, 2)} ms`,
+      `audio  ${info.audioState || '-'}, latency ${latency}`,
+      `tempo  ${num(info.cps, 3)} cps, phase ${num(info.phase, 2)}`,
+      `zones  ${typeof info.zones === 'number' ? info.zones : '-'}`
+    ].join('\n')
+  }
+}
@@ -0,0 +1,131 @@
+'use babel'
+
+/**
+ * @file performance-mode.js
+ * Distraction-free mode for playing live.
+ * Hides the workspace chrome so only code and visuals are left, and puts it all back on exit.
+ */
+
+import { CompositeDisposable } from 'atom'
+
+/** Config key holding the performance mode settings */
+const BASE_KEY = 'pulsar-punctual.performanceMode'
+
+/** Body class that switches the performance styles on */
+const BODY_CLASS = 'punctual-performance'
+
+/** Config source for the temporary font size, so the user's own settings are never touched */
+const CONFIG_SOURCE = 'pulsar-punctual-performance-mode'
+
+/**
+ * Performance mode.
+ * Tabs, docks, panels, scrollbars and cursor-line highlights are hidden by a body class;
+ * gutters are hidden per editor and the font size is overridden through a separate config
+ * source, so leaving the mode restores exactly what was there before.
+ */
+export default class PerformanceMode {
+  /**
+   * Creates a new PerformanceMode. Nothing changes until enter() is called.
+   * @param {Function} [log] - Optional logging function that takes (message, cssClass) parameters
+   */
+  constructor(log = () => {}) {
+    this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
+    this.active = false
+    this.subscriptions = null
+    this._hiddenGutters = []
+  }
+
+  /**
+   * Checks whether performance mode is on.
+   * @returns {boolean} True if active
+   */
+  isActive() {
+    return this.active
+  }
+
+  /**
+   * Turns performance mode on or off.
+   */
+  toggle() {
+    if (this.active) this.exit()
+    else this.enter()
+  }
+
+  /**
+   * Hides the chrome, applies the line backdrop and enlarges the font if configured.
+   */
+  enter() {
+    if (this.active) return
+    this.active = true
+    this.subscriptions = new CompositeDisposable()
+
+    document.body.classList.add(BODY_CLASS)
+    this.subscriptions.add(atom.config.observe(`${BASE_KEY}.backdropColor`, () => this._applyBackdrop()))
+    this.subscriptions.add(atom.config.observe(`${BASE_KEY}.backdropOpacity`, () => this._applyBackdrop()))
+    this.subscriptions.add(atom.workspace.observeTextEditors(editor => this._hideGutters(editor)))
+
+    const scale = atom.config.get(`${BASE_KEY}.fontScale`) || 1
+    if (scale !== 1) {
+      const size = atom.config.get('editor.fontSize') || 14
+      atom.config.set('editor.fontSize', Math.round(size * scale), { scopeSelector: '*', source: CONFIG_SOURCE })
+    }
+
+    this.log('Performance mode on', 'text-info')
+  }
+
+  /**
+   * Puts everything back the way it was before enter().
+   */
+  exit() {
+    if (!this.active) return
+    this.active = false
+    if (this.subscriptions) this.subscriptions.dispose()
+    this.subscriptions = null
+
+    document.body.classList.remove(BODY_CLASS)
+    document.body.style.removeProperty('--punctual-line-backdrop')
+    try {
+      atom.config.unset('editor.fontSize', { scopeSelector: '*', source: CONFIG_SOURCE })
+    } catch (_) {}
+    for (const gutter of this._hiddenGutters) {
+      try { gutter.show() } catch (_) {}
+    }
+    this._hiddenGutters = []
+
+    this.log('Performance mode off', 'text-info')
+  }
+
+  /**
+   * Leaves performance mode if it's on.
+   */
+  dispose() {
+    this.exit()
+  }
+
+  /**
+   * Hides the visible gutters of an editor and remembers them for exit().
+   * @private
+   * @param {Object} editor - An Atom TextEditor
+   */
+  _hideGutters(editor) {
+    if (typeof editor.getGutters !== 'function') return
+    for (const gutter of editor.getGutters()) {
+      if (gutter.isVisible()) {
+        gutter.hide()
+        this._hiddenGutters.push(gutter)
+      }
+    }
+  }
+
+  /**
+   * Sets the line backdrop color from the settings.
+   * @private
+   */
+  _applyBackdrop() {
+    const color = atom.config.get(`${BASE_KEY}.backdropColor`)
+    const opacity = atom.config.get(`${BASE_KEY}.backdropOpacity`)
+    const alpha = typeof opacity === 'number' ? Math.min(1, Math.max(0, opacity)) : 0.6
+    const [r, g, b] = color ? [color.red, color.green, color.blue] : [0, 0, 0]
+    document.body.style.setProperty('--punctual-line-backdrop', `rgba(${r}, ${g}, ${b}, ${alpha})`)
+  }
+}
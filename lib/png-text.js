@@ -0,0 +1,127 @@
+'use babel'
+
+/**
+ * @file png-text.js
+ * Reads and writes text metadata in PNG files.
+ * Used to embed the running program in snapshots so an image can be traced back to its code.
+ */
+
+/** The 8 bytes every PNG starts with */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+/** CRC-32 lookup table (the PNG/zlib polynomial) */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * Computes the CRC-32 of some bytes.
+ *
+ * @param {Buffer} bytes - The data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  let c = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Adds text entries to a PNG, just before its IEND chunk.
+ * Entries are stored as uncompressed iTXt chunks, so any UTF-8 text works.
+ *
+ * @param {Buffer} png - The PNG file
+ * @param {Object<string, string>} entries - Keyword (1-79 Latin-1 characters) to text
+ * @returns {Buffer} A new PNG with the entries added
+ * @throws {Error} If the buffer isn't a PNG
+ */
+export function addTextChunks(png, entries) {
+  if (!isPng(png)) throw new Error('Not a PNG file')
+  const iend = findChunk(png, 'IEND')
+  if (iend < 0) throw new Error('PNG has no IEND chunk')
+  const chunks = Object.keys(entries).map(keyword => textChunk(keyword, String(entries[keyword])))
+  return Buffer.concat([png.subarray(0, iend), ...chunks, png.subarray(iend)])
+}
+
+/**
+ * Reads the tEXt and iTXt entries of a PNG. Compressed entries are skipped.
+ *
+ * @param {Buffer} png - The PNG file
+ * @returns {Object<string, string>} Keyword to text
+ */
+export function readTextChunks(png) {
+  const entries = {}
+  if (!isPng(png)) return entries
+  for (let offset = PNG_SIGNATURE.length; offset + 12 <= png.length;) {
+    const length = png.readUInt32BE(offset)
+    const type = png.toString('latin1', offset + 4, offset + 8)
+    const data = png.subarray(offset + 8, offset + 8 + length)
+    const sep = data.indexOf(0)
+    if (type === 'tEXt' && sep > 0) {
+      entries[data.toString('latin1', 0, sep)] = data.toString('latin1', sep + 1)
+    } else if (type === 'iTXt' && sep > 0 && data[sep + 1] === 0) {
+      // keyword \0 flag method language \0 translated keyword \0 text
+      const lang = data.indexOf(0, sep + 3)
+      const translated = lang < 0 ? -1 : data.indexOf(0, lang + 1)
+      if (translated >= 0) entries[data.toString('latin1', 0, sep)] = data.toString('utf8', translated + 1)
+    }
+    if (type === 'IEND') break
+    offset += 12 + length
+  }
+  return entries
+}
+
+/**
+ * Checks for the PNG signature.
+ *
+ * @param {Buffer} png - Some bytes
+ * @returns {boolean} True if they start like a PNG
+ */
+function isPng(png) {
+  return Buffer.isBuffer(png) && png.length >= PNG_SIGNATURE.length &&
+    png.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+}
+
+/**
+ * Finds the offset of the first chunk of a type.
+ *
+ * @param {Buffer} png - The PNG file
+ * @param {string} wanted - Chunk type, e.g. 'IEND'
+ * @returns {number} Offset of the chunk's length field, or -1
+ */
+function findChunk(png, wanted) {
+  for (let offset = PNG_SIGNATURE.length; offset + 12 <= png.length;) {
+    const length = png.readUInt32BE(offset)
+    if (png.toString('latin1', offset + 4, offset + 8) === wanted) return offset
+    offset += 12 + length
+  }
+  return -1
+}
+
+/**
+ * Builds an uncompressed iTXt chunk.
+ *
+ * @param {string} keyword - The keyword
+ * @param {string} text - The text
+ * @returns {Buffer} The chunk, with length and CRC
+ */
+function textChunk(keyword, text) {
+  const name = keyword.replace(/[^\x20-\x7e\xa1-\xff]/g, '').slice(0, 79) || 'Comment'
+  const body = Buffer.concat([
+    Buffer.from('iTXt', 'latin1'),
+    Buffer.from(name, 'latin1'),
+    Buffer.from([0, 0, 0, 0, 0]), // keyword end, not compressed, method, no language, no translation
+    Buffer.from(text, 'utf8')
+  ])
+  const chunk = Buffer.alloc(body.length + 8)
+  chunk.writeUInt32BE(body.length - 4, 0)
+  body.copy(chunk, 4)
+  chunk.writeUInt32BE(crc32(body), body.length + 4)
+  return chunk
+}
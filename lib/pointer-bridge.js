@@ -0,0 +1,167 @@
+'use babel'
+
+/**
+ * @file pointer-bridge.js
+ * Feeds a pointer position to Punctual's mouse inputs.
+ * The canvas sits behind the editor and never sees the mouse, so positions are forwarded to it.
+ */
+
+import { CompositeDisposable, Disposable } from 'atom'
+
+/** Config key holding the pointer source setting */
+const SOURCE_KEY = 'pulsar-punctual.input.pointerSource'
+
+/**
+ * Forwards the mouse, or the text cursor of the active editor, to Punctual.
+ * Uses Punctual's own pointer API when it has one, otherwise dispatches synthetic
+ * mousemove events on the canvas (they bubble up to document and window as well).
+ */
+export default class PointerBridge {
+  /**
+   * Creates a new PointerBridge. Nothing is forwarded until start() is called.
+   * @param {Object} options
+   * @param {Function} options.getCanvas - Returns the Punctual canvas
+   * @param {Function} options.getPunctual - Returns the Punctual instance
+   */
+  constructor({ getCanvas, getPunctual }) {
+    this.getCanvas = getCanvas
+    this.getPunctual = getPunctual
+    this.subscriptions = null
+    this._sourceSubscriptions = null
+    this._forwarding = false
+    this._pendingFrame = null
+  }
+
+  /**
+   * Starts forwarding from the source picked in the settings, and follows changes to it.
+   */
+  start() {
+    if (this.subscriptions) return
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.config.observe(SOURCE_KEY, (source) => this._useSource(source)))
+  }
+
+  /**
+   * Stops forwarding.
+   */
+  stop() {
+    this._useSource('off')
+    if (this.subscriptions) this.subscriptions.dispose()
+    this.subscriptions = null
+  }
+
+  /**
+   * Switches to another pointer source.
+   * @private
+   * @param {string} source - 'mouse', 'textCursor' or 'off'
+   */
+  _useSource(source) {
+    if (this._sourceSubscriptions) this._sourceSubscriptions.dispose()
+    this._sourceSubscriptions = null
+    if (this._pendingFrame) cancelAnimationFrame(this._pendingFrame)
+    this._pendingFrame = null
+    if (source === 'mouse') this._followMouse()
+    else if (source === 'textCursor') this._followTextCursor()
+  }
+
+  /**
+   * Forwards real mouse moves anywhere over the window.
+   * @private
+   */
+  _followMouse() {
+    const onMove = (e) => {
+      if (this._forwarding) return
+      this._send(e.clientX, e.clientY)
+    }
+    document.addEventListener('mousemove', onMove, true)
+    this._sourceSubscriptions = new CompositeDisposable(
+      new Disposable(() => document.removeEventListener('mousemove', onMove, true))
+    )
+  }
+
+  /**
+   * Forwards the screen position of the cursor in the active text editor.
+   * @private
+   */
+  _followTextCursor() {
+    const subs = new CompositeDisposable()
+    let editorSubs = null
+    subs.add(atom.workspace.observeActiveTextEditor((editor) => {
+      if (editorSubs) editorSubs.dispose()
+      editorSubs = null
+      if (!editor) return
+      const view = atom.views.getView(editor)
+      const update = () => this._scheduleCursorUpdate(editor)
+      editorSubs = new CompositeDisposable(
+        editor.onDidChangeCursorPosition(update),
+        view.onDidChangeScrollTop(update),
+        view.onDidChangeScrollLeft(update)
+      )
+      update()
+    }))
+    subs.add(new Disposable(() => {
+      if (editorSubs) editorSubs.dispose()
+    }))
+    this._sourceSubscriptions = subs
+  }
+
+  /**
+   * Sends the cursor position on the next animation frame, once the editor has laid out.
+   * @private
+   * @param {Object} editor - The active TextEditor
+   */
+  _scheduleCursorUpdate(editor) {
+    if (this._pendingFrame) return
+    this._pendingFrame = requestAnimationFrame(() => {
+      this._pendingFrame = null
+      const point = cursorClientPosition(editor)
+      if (point) this._send(point.x, point.y)
+    })
+  }
+
+  /**
+   * Hands a position to Punctual.
+   * @private
+   * @param {number} clientX - Horizontal position in the window (CSS px)
+   * @param {number} clientY - Vertical position in the window (CSS px)
+   */
+  _send(clientX, clientY) {
+    const canvas = this.getCanvas()
+    if (!canvas) return
+    const punctual = this.getPunctual()
+    if (punctual && typeof punctual.setMousePosition === 'function') {
+      const rect = canvas.getBoundingClientRect()
+      if (!rect.width || !rect.height) return
+      // Punctual's coordinates: -1..1, y up
+      const x = ((clientX - rect.left) / rect.width) * 2 - 1
+      const y = 1 - ((clientY - rect.top) / rect.height) * 2
+      try { punctual.setMousePosition(x, y) } catch (_) {}
+      return
+    }
+    this._forwarding = true
+    try {
+      canvas.dispatchEvent(new MouseEvent('mousemove', { clientX, clientY, bubbles: true }))
+    } finally {
+      this._forwarding = false
+    }
+  }
+}
+
+/**
+ * Works out where an editor's cursor is on screen.
+ * @param {Object} editor - A TextEditor
+ * @returns {{x: number, y: number}|null} Middle of the cursor in window coordinates, or null if it's not visible
+ */
+function cursorClientPosition(editor) {
+  const view = atom.views.getView(editor)
+  if (!view || typeof view.pixelPositionForBufferPosition !== 'function') return null
+  const scrollView = view.querySelector('.scroll-view') || view
+  const rect = scrollView.getBoundingClientRect()
+  if (!rect.width || !rect.height) return null
+  const pixel = view.pixelPositionForBufferPosition(editor.getCursorBufferPosition())
+  const lineHeight = editor.getLineHeightInPixels ? editor.getLineHeightInPixels() : 0
+  return {
+    x: rect.left + pixel.left - view.getScrollLeft(),
+    y: rect.top + pixel.top - view.getScrollTop() + lineHeight / 2
+  }
+}
@@ -0,0 +1,129 @@
+'use babel'
+
+/**
+ * @file preprocessor.js
+ * Expands `-- #include "file.punc"` directives before code is sent to Punctual.
+ * Keeps a line map so errors can be traced back to the file they came from.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/** Matches an include directive on its own line, e.g. `-- #include "lib/shapes.punc"` */
+const INCLUDE_DIRECTIVE = /^\s*--\s*#include\s+"([^"]+)"\s*$/
+
+/**
+ * Raised when an include can't be expanded (missing file or include cycle).
+ * `line` is the 0-based line of the offending directive in the evaluated code.
+ */
+export class IncludeError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} line - 0-based line of the directive in the evaluated code
+   */
+  constructor(message, line) {
+    super(message)
+    this.name = 'IncludeError'
+    this.line = line
+  }
+}
+
+/**
+ * Checks whether some code has any include directives, so the common case can skip the work.
+ *
+ * @param {string} text - Punctual source
+ * @returns {boolean} True if there's at least one `-- #include`
+ */
+export function hasIncludes(text) {
+  return typeof text === 'string' && text.split('\n').some(line => INCLUDE_DIRECTIVE.test(line))
+}
+
+/**
+ * Expands include directives recursively.
+ * Paths are looked up relative to the including file first, then in the library folder.
+ * Each output line is mapped back to the file and line it came from: `file` is null for
+ * lines of the evaluated code itself, and `rootLine` is the line in the evaluated code
+ * that produced it (the directive, for included lines).
+ *
+ * @param {string} text - The code being evaluated
+ * @param {Object} [options]
+ * @param {string|null} [options.filePath] - Path of the file the code belongs to, if saved
+ * @param {string|null} [options.libraryDir] - Global library folder for includes
+ * @returns {{text: string, lineMap: Array<{file: string|null, line: number, rootLine: number}>}} Expanded code and line map
+ * @throws {IncludeError} When an include is missing or includes itself
+ */
+export function expandIncludes(text, { filePath = null, libraryDir = null } = {}) {
+  const out = []
+  const lineMap = []
+  const rootDir = filePath ? path.dirname(filePath) : null
+  const library = libraryDir ? expandHome(libraryDir) : null
+  const stack = filePath ? [path.resolve(filePath)] : []
+
+  const expand = (source, file, baseDir, rootLine) => {
+    const lines = source.split('\n')
+    for (let i = 0; i < lines.length; i++) {
+      const root = file === null ? i : rootLine
+      const match = INCLUDE_DIRECTIVE.exec(lines[i])
+      if (!match) {
+        out.push(lines[i])
+        lineMap.push({ file, line: i, rootLine: root })
+        continue
+      }
+
+      const target = resolveInclude(match[1], baseDir, library)
+      const from = file ? path.basename(file) + ':' + (i + 1) : 'line ' + (i + 1)
+      if (!target) {
+        throw new IncludeError('Include not found: "' + match[1] + '" (' + from + ')', root)
+      }
+      if (stack.includes(target)) {
+        const chain = stack.concat(target).map(p => path.basename(p)).join(' -> ')
+        throw new IncludeError('Include cycle: ' + chain, root)
+      }
+
+      let contents
+      try {
+        contents = fs.readFileSync(target, 'utf8')
+      } catch (e) {
+        throw new IncludeError('Could not read include "' + match[1] + '": ' + e.message, root)
+      }
+      stack.push(target)
+      expand(contents.replace(/\r\n/g, '\n'), target, path.dirname(target), root)
+      stack.pop()
+    }
+  }
+
+  expand(text, null, rootDir, 0)
+  return { text: out.join('\n'), lineMap }
+}
+
+/**
+ * Finds the file an include refers to.
+ *
+ * @param {string} name - The path written in the directive
+ * @param {string|null} baseDir - Folder of the including file
+ * @param {string|null} library - Global library folder
+ * @returns {string|null} Absolute path of the file, or null if it doesn't exist
+ */
+function resolveInclude(name, baseDir, library) {
+  const expanded = expandHome(name)
+  const candidates = path.isAbsolute(expanded)
+    ? [expanded]
+    : [baseDir, library].filter(Boolean).map(dir => path.resolve(dir, expanded))
+  for (const candidate of candidates) {
+    try {
+      if (fs.statSync(candidate).isFile()) return candidate
+    } catch (_) {}
+  }
+  return null
+}
+
+/**
+ * Expands a leading `~` to the home folder.
+ *
+ * @param {string} p - A path
+ * @returns {string} The path with `~` expanded
+ */
+export function expandHome(p) {
+  return (p === '~' || p.startsWith('~/')) ? path.join(os.homedir(), p.slice(1)) : p
+}
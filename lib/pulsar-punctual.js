@@ -47,12 +47,44 @@ export default {
       'pulsar-punctual:toggle': () => this.toggle(),
       'pulsar-punctual:evalLine': () => this.main.evalLine(),
       'pulsar-punctual:evalBlock': () => this.main.evalBlock(),
+      'pulsar-punctual:evalStatement': () => this.main.evalStatement(),
       'pulsar-punctual:evalCode': () => this.main.evalCode(),
+      'pulsar-punctual:evalBlockLongFade': () => this.main.evalBlockLongFade(),
+      'pulsar-punctual:evalCodeLongFade': () => this.main.evalCodeLongFade(),
       'pulsar-punctual:toggleVisibility': () => this.main.toggleVisibility(),
       'pulsar-punctual:showConsole': () => atom.workspace.open(CONSOLE_URI, { searchAllPanes: true, activatePane: true }),
       'pulsar-punctual:increaseMasterVolume': () => this.increaseMasterVolume(),
       'pulsar-punctual:decreaseMasterVolume': () => this.decreaseMasterVolume(),
       'pulsar-punctual:panic': () => this.panic(),
+      'pulsar-punctual:unpanic': () => this.main.unpanic(),
+      'pulsar-punctual:clearZone': () => this.main.clearZone(),
+      'pulsar-punctual:listZones': () => this.main.listZones(),
+      'pulsar-punctual:revert': () => this.main.revert(),
+      'pulsar-punctual:historyBack': () => this.main.historyBack(),
+      'pulsar-punctual:historyForward': () => this.main.historyForward(),
+      'pulsar-punctual:showHistory': () => this.main.showHistory(),
+      'pulsar-punctual:cycleQuantizeMode': () => this.main.cycleQuantizeMode(),
+      'pulsar-punctual:toggleAutoEval': () => this.main.toggleAutoEval(),
+      'pulsar-punctual:restartRenderLoop': () => this.main.restartRenderLoop(),
+      'pulsar-punctual:toggleOutputWindow': () => this.main.toggleOutputWindow(),
+      'pulsar-punctual:toggleOutputFullscreen': () => this.main.toggleOutputFullscreen(),
+      'pulsar-punctual:startRecording': () => this.main.startRecording(),
+      'pulsar-punctual:stopRecording': () => this.main.stopRecording(),
+      'pulsar-punctual:snapshot': () => this.main.snapshot(),
+      'pulsar-punctual:togglePerformanceHud': () => this.main.togglePerformanceHud(),
+      'pulsar-punctual:togglePerformanceMode': () => this.main.togglePerformanceMode(),
+      'pulsar-punctual:freezeVisuals': () => this.main.freezeVisuals(),
+      'pulsar-punctual:blackout': () => this.main.blackout(),
+      'pulsar-punctual:resumeVisuals': () => this.main.resumeVisuals(),
+      'pulsar-punctual:increaseCanvasOpacity': () => this.main.adjustCanvasOpacity(0.1),
+      'pulsar-punctual:decreaseCanvasOpacity': () => this.main.adjustCanvasOpacity(-0.1),
+      'pulsar-punctual:cycleBlendMode': () => this.main.cycleBlendMode(),
+      'pulsar-punctual:toggleConfineToPane': () => this.main.toggleConfineToPane(),
+      'pulsar-punctual:cyclePointerSource': () => this.main.cyclePointerSource(),
+      'pulsar-punctual:selectInputDevice': () => this.main.selectInputDevice(),
+      'pulsar-punctual:selectOutputDevice': () => this.main.selectOutputDevice(),
+      'pulsar-punctual:startAudioRecording': () => this.main.startAudioRecording(),
+      'pulsar-punctual:stopAudioRecording': () => this.main.stopAudioRecording(),
             'pulsar-punctual:copyConsole': () => {
               // Find existing console item or open without focusing
               const items = atom.workspace.getPaneItems()
@@ -77,6 +109,19 @@ export default {
   deactivate() {
     this.subscriptions.dispose()
     this.main.stop()
+    this.main.destroy()
+  },
+
+  /**
+   * Consumes the status-bar service so Punctual can show its indicators.
+   *
+   * @param {Object} statusBar - The status-bar service
+   * @returns {Disposable} Removes Punctual's tiles
+   */
+  consumeStatusBar(statusBar) {
+    const disposable = this.main.consumeStatusBar(statusBar)
+    this.subscriptions.add(disposable)
+    return disposable
   },
 
   /**
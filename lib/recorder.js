@@ -0,0 +1,238 @@
+'use babel'
+
+/**
+ * @file recorder.js
+ * Records a performance to WebM: the Punctual canvas plus the master bus audio.
+ * Chunks are written to disk as they come in, so long sets don't pile up in memory.
+ */
+
+import { Disposable } from 'atom'
+
+const fs = require('fs')
+const path = require('path')
+
+/** Container/codec combinations to try, best first */
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+]
+
+/** How often MediaRecorder hands over data (ms) */
+const CHUNK_MS = 1000
+
+/**
+ * Canvas + audio recorder.
+ * Shows a status bar tile with the elapsed time while recording.
+ */
+export default class Recorder {
+  /**
+   * Creates a new Recorder. Nothing is recorded until start() is called.
+   * @param {Function} [log] - Optional logging function that takes (message, cssClass) parameters
+   */
+  constructor(log = () => {}) {
+    this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
+    this.statusTile = null
+    this.statusElement = null
+    this._recorder = null
+    this._audioTap = null
+    this._audioSource = null
+    this._file = null
+    this._filePath = null
+    this._writes = null
+    this._startedAt = 0
+    this._timer = null
+  }
+
+  /**
+   * Checks whether a recording is running.
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return !!this._recorder
+  }
+
+  /**
+   * Starts recording.
+   * @param {Object} options
+   * @param {HTMLCanvasElement} options.canvas - The canvas Punctual renders into
+   * @param {AudioNode} [options.audioNode] - Node whose output gets recorded (the master output)
+   * @param {string} options.filePath - Where to write the WebM file
+   * @param {number} [options.fps=30] - Frame rate of the video
+   * @param {number} [options.videoBitsPerSecond] - Video bitrate, browser default if missing
+   * @returns {boolean} True if recording started
+   */
+  start({ canvas, audioNode = null, filePath, fps = 30, videoBitsPerSecond }) {
+    if (this._recorder) {
+      this.log('Already recording to ' + this._filePath, 'text-warning')
+      return false
+    }
+    if (!canvas || typeof canvas.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+      this.log('Recording is not supported here', 'text-error')
+      return false
+    }
+
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+    if (!mimeType) {
+      this.log('No WebM encoder available for recording', 'text-error')
+      return false
+    }
+
+    let file
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      file = fs.createWriteStream(filePath)
+    } catch (e) {
+      this.log('Could not create ' + filePath + ': ' + e.message, 'text-error')
+      return false
+    }
+
+    // One write chain per recording, so a quick stop-then-start can't cut off the last chunks
+    const writes = { chain: Promise.resolve(), failed: false }
+    file.on('error', (err) => {
+      writes.failed = true
+      this.log('Recording failed: ' + err.message, 'text-error')
+      if (this._file === file) this.stop()
+    })
+
+    const stream = canvas.captureStream(fps)
+    if (audioNode && audioNode.context) {
+      try {
+        this._audioTap = audioNode.context.createMediaStreamDestination()
+        audioNode.connect(this._audioTap)
+        this._audioSource = audioNode
+        this._audioTap.stream.getAudioTracks().forEach(track => stream.addTrack(track))
+      } catch (e) {
+        this._audioTap = null
+        this.log('Recording without audio: ' + e.message, 'text-warning')
+      }
+    } else {
+      this.log('Audio is not running; recording video only', 'text-warning')
+    }
+
+    const options = { mimeType }
+    if (videoBitsPerSecond) options.videoBitsPerSecond = videoBitsPerSecond
+    const recorder = new MediaRecorder(stream, options)
+    recorder.ondataavailable = (e) => {
+      if (!e.data || !e.data.size) return
+      if (writes.failed) return
+      // arrayBuffer() is async; chain the writes so chunks stay in order
+      writes.chain = writes.chain
+        .then(() => e.data.arrayBuffer())
+        .then(data => new Promise(resolve => file.write(Buffer.from(data), resolve)))
+        .catch(err => this.log('Recording write failed: ' + err.message, 'text-error'))
+    }
+    recorder.onerror = (e) => {
+      this.log('Recording error: ' + (e.error && e.error.message ? e.error.message : e), 'text-error')
+    }
+
+    this._recorder = recorder
+    this._file = file
+    this._filePath = filePath
+    this._writes = writes
+    this._startedAt = Date.now()
+    recorder.start(CHUNK_MS)
+    this._timer = setInterval(() => this._updateStatus(), 1000)
+    this._updateStatus()
+    this.log('Recording to ' + filePath, 'text-success')
+    return true
+  }
+
+  /**
+   * Stops recording and finishes writing the file.
+   * @returns {Promise<string|null>} Path of the saved file, or null if nothing was recording or the file failed
+   */
+  async stop() {
+    const recorder = this._recorder
+    if (!recorder) return null
+    const file = this._file
+    const filePath = this._filePath
+    const writes = this._writes
+    const audioTap = this._audioTap
+    const audioSource = this._audioSource
+    const elapsed = formatElapsed(Date.now() - this._startedAt)
+
+    this._recorder = null
+    this._file = null
+    this._filePath = null
+    this._writes = null
+    this._audioTap = null
+    this._audioSource = null
+    clearInterval(this._timer)
+    this._timer = null
+    this._updateStatus()
+
+    await new Promise(resolve => {
+      recorder.onstop = resolve
+      try { recorder.stop() } catch (_) { resolve() }
+    })
+    recorder.stream.getTracks().forEach(track => track.stop())
+    if (audioTap) {
+      try { audioSource.disconnect(audioTap) } catch (_) {}
+    }
+
+    await writes.chain
+    if (writes.failed) {
+      file.destroy()
+      return null
+    }
+    await new Promise(resolve => file.end(resolve))
+    this.log('Recording saved (' + elapsed + '): ' + filePath, 'text-success')
+    return filePath
+  }
+
+  /**
+   * Adds the recording indicator to the status bar. It's hidden while not recording;
+   * clicking it stops the recording.
+   * @param {Object} statusBar - The status-bar service
+   * @returns {Disposable} Removes the tile again
+   */
+  attachStatusBar(statusBar) {
+    this.statusElement = document.createElement('span')
+    this.statusElement.classList.add('punctual-status', 'punctual-status--recording', 'inline-block')
+    this.statusElement.addEventListener('click', () => this.stop())
+    this.statusTile = statusBar.addLeftTile({ item: this.statusElement, priority: 199 })
+    this._updateStatus()
+    return new Disposable(() => {
+      if (this.statusTile) this.statusTile.destroy()
+      this.statusTile = null
+      this.statusElement = null
+    })
+  }
+
+  /**
+   * Stops any recording and removes the status indicator.
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    await this.stop()
+    if (this.statusTile) this.statusTile.destroy()
+    this.statusTile = null
+    this.statusElement = null
+  }
+
+  /**
+   * Shows the elapsed time in the status bar, or hides the tile.
+   * @private
+   */
+  _updateStatus() {
+    if (!this.statusElement) return
+    const recording = !!this._recorder
+    this.statusElement.style.display = recording ? '' : 'none'
+    this.statusElement.textContent = recording ? '● REC ' + formatElapsed(Date.now() - this._startedAt) : ''
+    this.statusElement.title = recording ? 'Recording to ' + this._filePath : ''
+  }
+}
+
+/**
+ * Formats a duration as M:SS or H:MM:SS.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+export function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000))
+  const h = Math.floor(total / 3600)
+  const m = Math.floor(total / 60) % 60
+  const s = String(total % 60).padStart(2, '0')
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
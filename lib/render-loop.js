@@ -0,0 +1,185 @@
+'use babel'
+
+/**
+ * @file render-loop.js
+ * Animation loop that drives Punctual's rendering.
+ * Survives render errors instead of stopping, and counts the frames that failed.
+ */
+
+const loop = require('raf-loop')
+
+/** Minimum time between two render error warnings in the console (ms) */
+const WARN_INTERVAL_MS = 5000
+
+/**
+ * requestAnimationFrame loop for Punctual.
+ * Calls a render function every frame (or less often, with a frame rate cap); errors
+ * are counted and logged at most once every few seconds, and the loop keeps going.
+ */
+export default class RenderLoop {
+  /**
+   * Creates a new RenderLoop. Nothing runs until start() is called.
+   * @param {Function} renderFrame - Called every frame with (nowSeconds, dtMs)
+   * @param {Function} [log] - Optional logging function that takes (message, cssClass) parameters
+   */
+  constructor(renderFrame, log = () => {}) {
+    this.renderFrame = renderFrame
+    this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
+    this.failedFrames = 0
+    this._engine = null
+    this._lastWarnAt = 0
+    this._failedSinceWarn = 0
+    this._frameListeners = new Set()
+    this._minFrameMs = 0
+    this._sinceFrame = 0
+    this._paused = false
+    this._lastNow = 0
+  }
+
+  /**
+   * Stops rendering frames without stopping the loop, so the canvas keeps its last image.
+   * Frame listeners aren't called either while paused.
+   */
+  pause() {
+    this._paused = true
+  }
+
+  /**
+   * Renders frames again after pause().
+   */
+  resume() {
+    this._paused = false
+    this._sinceFrame = 0
+  }
+
+  /**
+   * Renders one frame right away, even while paused, without calling the frame listeners.
+   * While paused it renders at the time of the last frame, so a frozen picture stays the same.
+   */
+  renderOnce() {
+    const now = this._paused && this._lastNow ? this._lastNow : Date.now() / 1000.0
+    try {
+      this.renderFrame(now, 0)
+    } catch (e) {
+      this.reportFailure('render loop', e)
+    }
+  }
+
+  /**
+   * Checks whether rendering is paused.
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this._paused
+  }
+
+  /**
+   * Caps how often frames are rendered. Animation frames in between are skipped.
+   * @param {number} fps - Maximum frames per second, 0 for no cap
+   */
+  setMaxFps(fps) {
+    this._minFrameMs = fps > 0 ? 1000 / fps : 0
+    this._sinceFrame = 0
+  }
+
+  /**
+   * Registers a function to call right after each rendered frame, while the canvas
+   * still holds that frame (e.g. to copy it somewhere else).
+   * @param {Function} fn - Called with (nowSeconds, dtMs, costMs): dtMs is the time since the last
+   *   rendered frame, costMs how long the render function ran (CPU side only)
+   * @returns {Function} Call it to remove the listener again
+   */
+  onFrame(fn) {
+    this._frameListeners.add(fn)
+    return () => this._frameListeners.delete(fn)
+  }
+
+  /**
+   * Starts the loop. Does nothing if it's already running.
+   */
+  start() {
+    if (this._engine) return
+    this._engine = loop((dt) => this._tick(dt)).start()
+  }
+
+  /**
+   * Stops the loop.
+   */
+  stop() {
+    if (!this._engine) return
+    this._engine.stop()
+    this._engine = null
+  }
+
+  /**
+   * Stops and starts the loop again with fresh error counters.
+   */
+  restart() {
+    this.stop()
+    this.resetFailures()
+    this.start()
+  }
+
+  /**
+   * Checks whether the loop is running.
+   * @returns {boolean} True if frames are being rendered
+   */
+  isRunning() {
+    return !!this._engine
+  }
+
+  /**
+   * Resets the failed frame counters.
+   */
+  resetFailures() {
+    this.failedFrames = 0
+    this._failedSinceWarn = 0
+    this._lastWarnAt = 0
+  }
+
+  /**
+   * Records a failed frame and warns in the console, rate-limited.
+   * Also used by the render function for errors it catches itself (e.g. per zone).
+   * @param {string} what - Short description of what failed, e.g. 'zone 2'
+   * @param {Error|*} error - The error
+   */
+  reportFailure(what, error) {
+    this.failedFrames++
+    this._failedSinceWarn++
+    const now = Date.now()
+    if (now - this._lastWarnAt < WARN_INTERVAL_MS) return
+    this._lastWarnAt = now
+    const msg = error && error.message ? error.message : String(error)
+    const frames = this._failedSinceWarn === 1 ? '1 frame' : this._failedSinceWarn + ' frames'
+    this.log(`Render error in ${what}: ${msg} (${frames} failed, ${this.failedFrames} total)`, 'text-warning')
+    this._failedSinceWarn = 0
+  }
+
+  /**
+   * Renders one frame, keeping errors from stopping the loop.
+   * @private
+   * @param {number} dt - Milliseconds since the last animation frame
+   */
+  _tick(dt) {
+    if (this._paused) return
+    this._sinceFrame += dt
+    // 1ms of slack so a 30fps cap on a 60Hz display doesn't drop to 20fps
+    if (this._sinceFrame < this._minFrameMs - 1) return
+    dt = this._sinceFrame
+    this._sinceFrame = 0
+
+    const now = Date.now() / 1000.0
+    this._lastNow = now
+    const started = performance.now()
+    try {
+      this.renderFrame(now, dt)
+    } catch (e) {
+      console.error('Render loop error:', e)
+      this.reportFailure('render loop', e)
+    }
+    const cost = performance.now() - started
+    for (const fn of this._frameListeners) {
+      try { fn(now, dt, cost) } catch (e) { console.error('Render loop frame listener error:', e) }
+    }
+  }
+}
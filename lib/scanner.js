@@ -0,0 +1,153 @@
+'use babel'
+
+/**
+ * @file scanner.js
+ * Lightweight lexical helpers for Punctual source text.
+ * Knows about `--` comments, string literals, brackets and `;` statement terminators.
+ */
+
+/**
+ * Masks comments and string contents so code can be searched without false hits.
+ * Comments become spaces; string contents become underscores (the quotes stay).
+ * The result has exactly the same length and line breaks as the input.
+ *
+ * @param {string} text - Punctual source
+ * @returns {string} The masked text
+ */
+export function maskText(text) {
+  let out = ''
+  let i = 0
+  while (i < text.length) {
+    const ch = text[i]
+    if (ch === '-' && text[i + 1] === '-') {
+      while (i < text.length && text[i] !== '\n') {
+        out += ' '
+        i++
+      }
+    } else if (ch === '"') {
+      out += '"'
+      i++
+      while (i < text.length && text[i] !== '"' && text[i] !== '\n') {
+        if (text[i] === '\\' && i + 1 < text.length && text[i + 1] !== '\n') {
+          out += '__'
+          i += 2
+        } else {
+          out += '_'
+          i++
+        }
+      }
+      if (i < text.length && text[i] === '"') {
+        out += '"'
+        i++
+      }
+    } else {
+      out += ch
+      i++
+    }
+  }
+  return out
+}
+
+/**
+ * Splits Punctual source into statements at top-level `;` terminators.
+ * Semicolons inside comments, strings or brackets don't split.
+ *
+ * @param {string} text - Punctual source
+ * @returns {Array<{start: number, end: number}>} Offsets of each statement; `end` excludes the `;`
+ */
+export function splitStatements(text) {
+  const masked = maskText(text)
+  const statements = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < masked.length; i++) {
+    const ch = masked[i]
+    if (ch === '(' || ch === '[' || ch === '{') depth++
+    else if ((ch === ')' || ch === ']' || ch === '}') && depth > 0) depth--
+    else if (ch === ';' && depth === 0) {
+      statements.push({ start, end: i })
+      start = i + 1
+    }
+  }
+  statements.push({ start, end: masked.length })
+  return statements
+}
+
+/** Code ending in one of these continues on a later line, even across a blank line */
+const TRAILING_OPERATOR = /(?:[-+*\/$:=,<>~%!&|^]|\*\*)\s*$/
+
+/**
+ * Works out, for each line, whether it separates one statement group from the next.
+ * A blank line is a separator unless it sits inside brackets or right after code
+ * that ends with an operator, since then the expression carries on below it.
+ *
+ * @param {string} text - Punctual source
+ * @returns {boolean[]} One flag per line; true for separator lines
+ */
+export function separatorLines(text) {
+  const lines = text.split('\n')
+  const maskedLines = maskText(text).split('\n')
+  const separators = []
+  let depth = 0
+  let continues = false
+  for (let row = 0; row < lines.length; row++) {
+    const blank = !/\S/.test(lines[row])
+    separators.push(blank && depth === 0 && !continues)
+
+    const masked = maskedLines[row]
+    for (const ch of masked) {
+      if (ch === '(' || ch === '[' || ch === '{') depth++
+      else if ((ch === ')' || ch === ']' || ch === '}') && depth > 0) depth--
+    }
+    if (/\S/.test(masked)) continues = TRAILING_OPERATOR.test(masked)
+  }
+  return separators
+}
+
+/**
+ * Finds the statement group around a row: the lines between the nearest separators.
+ * Comment lines belong to the group they sit in.
+ *
+ * @param {string} text - Punctual source
+ * @param {number} row - The cursor row
+ * @returns {{startRow: number, endRow: number}|null} Rows of the group (endRow exclusive), or null on a separator
+ */
+export function findStatementGroup(text, row) {
+  const separators = separatorLines(text)
+  if (row < 0 || row >= separators.length || separators[row]) return null
+  let startRow = row
+  while (startRow > 0 && !separators[startRow - 1]) startRow--
+  let endRow = row + 1
+  while (endRow < separators.length && !separators[endRow]) endRow++
+  return { startRow, endRow }
+}
+
+/**
+ * Finds the single statement at a character offset.
+ * Leading comments and whitespace are left out, and so is the terminating `;`.
+ * A cursor sitting just after a `;` picks the statement it terminates.
+ *
+ * @param {string} text - Punctual source
+ * @param {number} offset - Character offset of the cursor
+ * @returns {{start: number, end: number}|null} Offsets of the statement, or null if there's no code there
+ */
+export function findStatementAt(text, offset) {
+  const masked = maskText(text)
+  const statements = splitStatements(text)
+  const trimmed = statements.map(({ start, end }) => {
+    const segment = masked.slice(start, end)
+    const first = segment.search(/\S/)
+    if (first < 0) return null
+    const last = segment.search(/\S\s*$/)
+    return { start: start + first, end: start + last + 1 }
+  })
+
+  let index = statements.findIndex(({ start, end }) => offset >= start && offset <= end)
+  if (index < 0) return null
+  if (!trimmed[index] || offset < trimmed[index].start) {
+    // cursor is in the gap between statements; prefer the one just finished on this line
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1
+    if (index > 0 && trimmed[index - 1] && trimmed[index - 1].end >= lineStart) index--
+  }
+  return trimmed[index]
+}
@@ -0,0 +1,105 @@
+'use babel'
+
+/**
+ * @file select-picker.js
+ * Modal select list shared by the pickers (history, audio devices).
+ * Each picker supplies its own empty message, filter key and item renderer.
+ */
+
+const SelectListView = require('atom-select-list')
+
+/**
+ * Select list modal.
+ * Lists items and hands the chosen one back to the caller.
+ */
+export default class SelectPicker {
+  /**
+   * Creates a new SelectPicker.
+   * The modal panel is created hidden and reused between calls to show().
+   *
+   * @param {Object} options
+   * @param {string} options.emptyMessage - Shown when there's nothing to pick
+   * @param {Function} options.filterKeyForItem - Returns the text the query is matched against
+   * @param {Function} options.elementForItem - Builds the list element for an item
+   * @param {string} [options.className] - Extra class for the list element
+   */
+  constructor({ emptyMessage, filterKeyForItem, elementForItem, className = null }) {
+    this._onConfirm = null
+    this._previouslyFocused = null
+
+    this.selectList = new SelectListView({
+      items: [],
+      emptyMessage,
+      filterKeyForItem,
+      elementForItem,
+      didConfirmSelection: (item) => {
+        const onConfirm = this._onConfirm
+        this.hide()
+        if (typeof onConfirm === 'function') onConfirm(item)
+      },
+      didCancelSelection: () => this.hide()
+    })
+    if (className) this.selectList.element.classList.add(className)
+    this.panel = atom.workspace.addModalPanel({ item: this.selectList, visible: false })
+  }
+
+  /**
+   * Shows the picker with the given items.
+   *
+   * @param {Array<Object>} items - Items to list, in order
+   * @param {Function} onConfirm - Called with the chosen item
+   * @returns {Promise<void>}
+   */
+  async show(items, onConfirm) {
+    this._onConfirm = onConfirm
+    this._previouslyFocused = document.activeElement
+    await this.selectList.update({ items })
+    this.selectList.reset()
+    this.panel.show()
+    this.selectList.focus()
+  }
+
+  /**
+   * Hides the picker and gives focus back to whatever had it before.
+   */
+  hide() {
+    this._onConfirm = null
+    this.panel.hide()
+    if (this._previouslyFocused && typeof this._previouslyFocused.focus === 'function') {
+      this._previouslyFocused.focus()
+    }
+    this._previouslyFocused = null
+  }
+
+  /**
+   * Destroys the picker and its panel.
+   */
+  destroy() {
+    try { this.panel.destroy() } catch (_) {}
+    try { this.selectList.destroy() } catch (_) {}
+  }
+}
+
+/**
+ * Builds a two-line list element, the way Atom's own pickers show items with details.
+ *
+ * @param {string} primaryText - The main line
+ * @param {string} secondaryText - The smaller line underneath
+ * @returns {HTMLElement} The list item
+ */
+export function twoLineItem(primaryText, secondaryText) {
+  const li = document.createElement('li')
+  li.classList.add('two-lines')
+
+  const primary = document.createElement('div')
+  primary.classList.add('primary-line')
+  primary.textContent = primaryText
+
+  const secondary = document.createElement('div')
+  secondary.classList.add('secondary-line')
+  secondary.textContent = secondaryText
+
+  li.appendChild(primary)
+  li.appendChild(secondary)
+  return li
+}
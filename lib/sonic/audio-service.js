@@ -3,16 +3,25 @@
 /**
  * @file audio-service.js
  * Web Audio context manager for Punctual.
- * Handles worklets (Electron-friendly), master volume, panic.
+ * Handles worklets (Electron-friendly), master volume, safety limiter, audio devices, panic.
  */
 
 const path = require('path')
 const fs = require('fs')
 const { pathToFileURL } = require('url')
 
+/** Corner frequency of the DC blocker (Hz) */
+const DC_BLOCK_HZ = 10
+
+/** Points in the clipper's waveshaper curve */
+const CLIP_CURVE_SIZE = 4097
+
+/** Output peaks this close to the ceiling count as clipped (about -0.01 dB) */
+const CLIP_TOLERANCE = 0.999
+
 /**
  * Manages Web Audio context/routing.
- * Loads worklets (Electron-safe), controls master gain, provides panic.
+ * Loads worklets (Electron-safe), controls master gain and the safety limiter, provides panic.
  */
 export default class AudioService {
   /**
@@ -23,6 +32,21 @@ export default class AudioService {
     this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
     this.audioContext = null
     this.masterGainNode = null
+    this.outputNode = null
+    this.dcBlocker = null
+    this.limiter = null
+    this.makeupCancel = null
+    this.clipper = null
+    this.masterAnalyser = null
+    this.outputAnalyser = null
+    this._limiterOn = null
+    this._ceiling = 1
+    this._panicked = false
+    this.inputGainNode = null
+    this.inputAnalyser = null
+    this._inputStream = null
+    this._inputSource = null
+    this._levelBuffer = null
     this.workletFiles = []
     this._workletDir = path.join(__dirname, 'worklets')
     this._originalConsoleError = null
@@ -89,9 +113,48 @@ export default class AudioService {
     this.masterGainNode = this.audioContext.createGain()
     const masterVolume = atom.config.get('pulsar-punctual.masterVolume') || 70
     this.masterGainNode.gain.value = masterVolume / 100.0
-    this.masterGainNode.connect(this.audioContext.destination)
+    this._panicked = false
     this.log('Master volume: ' + masterVolume + '%', 'text-info')
 
+    // Master chain: master gain -> [DC blocker -> limiter -> makeup cancel -> clipper] -> output -> destination
+    this.outputNode = this.audioContext.createGain()
+    this.outputNode.connect(this.audioContext.destination)
+    this.dcBlocker = this.audioContext.createBiquadFilter()
+    this.dcBlocker.type = 'highpass'
+    this.dcBlocker.frequency.value = DC_BLOCK_HZ
+    this.limiter = this.audioContext.createDynamicsCompressor()
+    this.limiter.knee.value = 0
+    this.limiter.ratio.value = 20
+    this.limiter.attack.value = 0.001
+    this.limiter.release.value = 0.1
+    // The compressor adds makeup gain we don't want in a limiter; setLimiter() takes it back off
+    this.makeupCancel = this.audioContext.createGain()
+    // The compressor's lookahead can let a little through; the clipper can't
+    this.clipper = this.audioContext.createWaveShaper()
+    this.dcBlocker.connect(this.limiter)
+    this.limiter.connect(this.makeupCancel)
+    this.makeupCancel.connect(this.clipper)
+    this.clipper.connect(this.outputNode)
+    // Before the limiter to catch clipping, after it for what actually goes out
+    this.masterAnalyser = this.audioContext.createAnalyser()
+    this.masterAnalyser.fftSize = 2048
+    this.masterGainNode.connect(this.masterAnalyser)
+    this.outputAnalyser = this.audioContext.createAnalyser()
+    this.outputAnalyser.fftSize = 2048
+    this.outputNode.connect(this.outputAnalyser)
+    this._limiterOn = null
+    this.setLimiter(
+      atom.config.get('pulsar-punctual.audio.limiter') !== false,
+      atom.config.get('pulsar-punctual.audio.limiterCeiling')
+    )
+
+    // Input path: device source -> input gain -> Punctual (and a level analyser)
+    this.inputGainNode = this.audioContext.createGain()
+    this.setInputGain(atom.config.get('pulsar-punctual.audio.inputGain') || 0)
+    this.inputAnalyser = this.audioContext.createAnalyser()
+    this.inputAnalyser.fftSize = 2048
+    this.inputGainNode.connect(this.inputAnalyser)
+
     if (!this._patched) {
       this._originalConsoleError = console.error
 
@@ -155,6 +218,159 @@ export default class AudioService {
     }
   }
 
+  /**
+   * Routes the input gain node into a Punctual instance's input analysis.
+   * @param {Object} punctual - The Punctual instance to connect
+   * @returns {boolean} True if this Punctual build accepts an input node
+   */
+  connectPunctualInput(punctual) {
+    if (!punctual || !this.inputGainNode) return false
+    if (typeof punctual.setAudioInput !== 'function') return false
+    punctual.setAudioInput(this.inputGainNode)
+    return true
+  }
+
+  /**
+   * Lists the audio devices of one kind.
+   * Device names are only visible after microphone permission, so this asks for it once if needed.
+   * @async
+   * @param {string} kind - 'audioinput' or 'audiooutput'
+   * @returns {Promise<Array<MediaDeviceInfo>>} The devices
+   */
+  async listDevices(kind) {
+    const media = navigator.mediaDevices
+    if (!media || typeof media.enumerateDevices !== 'function') return []
+    let devices = await media.enumerateDevices()
+    if (devices.some(d => d.kind === kind && !d.label)) {
+      try {
+        const stream = await media.getUserMedia({ audio: true })
+        stream.getTracks().forEach(track => track.stop())
+        devices = await media.enumerateDevices()
+      } catch (_) {}
+    }
+    return devices.filter(d => d.kind === kind)
+  }
+
+  /**
+   * Finds a device by the name saved in the settings.
+   * @async
+   * @param {string} kind - 'audioinput' or 'audiooutput'
+   * @param {string} name - Device label, or 'default' for the system default
+   * @returns {Promise<MediaDeviceInfo|null>} The device, or null if it isn't connected
+   */
+  async findDevice(kind, name) {
+    const devices = await this.listDevices(kind)
+    if (name === 'default') return devices.find(d => d.deviceId === 'default') || devices[0] || null
+    return devices.find(d => d.label === name) || null
+  }
+
+  /**
+   * Opens an input device and feeds it into the input gain node.
+   * Any previously opened device is closed first. Browser processing (echo cancellation,
+   * noise suppression, auto gain) is turned off so the analysis hears the real signal.
+   * @async
+   * @param {string|null} deviceId - The device to open, or null to close the input
+   * @returns {Promise<string|null>} Name of the opened device, or null if the input is closed
+   */
+  async setInputDevice(deviceId) {
+    this._closeInput()
+    if (!deviceId || !this.audioContext) return null
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: { exact: deviceId },
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      }
+    })
+    this._inputStream = stream
+    this._inputSource = this.audioContext.createMediaStreamSource(stream)
+    this._inputSource.connect(this.inputGainNode)
+    const track = stream.getAudioTracks()[0]
+    return track ? track.label : deviceId
+  }
+
+  /**
+   * Sends the AudioContext's output to a specific device.
+   * @async
+   * @param {string} deviceId - The output device, or '' for the system default
+   * @returns {Promise<void>}
+   * @throws {Error} If a device was chosen but this Electron version can't pick one, or the device fails
+   */
+  async setOutputDevice(deviceId) {
+    if (!this.audioContext) return
+    if (typeof this.audioContext.setSinkId !== 'function') {
+      // Without setSinkId the context is always on the system default
+      if (!deviceId) return
+      throw new Error('this version of Pulsar cannot choose an audio output device')
+    }
+    if ((this.audioContext.sinkId || '') === deviceId) return
+    await this.audioContext.setSinkId(deviceId)
+  }
+
+  /**
+   * Checks whether an input device is open.
+   * @returns {boolean} True if audio input is routed
+   */
+  hasInput() {
+    return !!this._inputSource
+  }
+
+  /**
+   * Sets the input gain.
+   * @param {number} db - Gain in decibels
+   */
+  setInputGain(db) {
+    if (!this.inputGainNode) return
+    this.inputGainNode.gain.value = Math.pow(10, (Number(db) || 0) / 20)
+  }
+
+  /**
+   * Measures the current input level, after the input gain.
+   * @returns {{peak: number, rms: number}|null} Linear levels, or null if no input is open
+   */
+  getInputLevel() {
+    if (!this._inputSource || !this.inputAnalyser) return null
+    return this._measure(this.inputAnalyser)
+  }
+
+  /**
+   * Reads peak and RMS from an analyser's current time-domain window.
+   * @private
+   * @param {AnalyserNode} analyser - The analyser to read
+   * @returns {{peak: number, rms: number}} Linear levels
+   */
+  _measure(analyser) {
+    if (!this._levelBuffer || this._levelBuffer.length !== analyser.fftSize) {
+      this._levelBuffer = new Float32Array(analyser.fftSize)
+    }
+    const data = this._levelBuffer
+    analyser.getFloatTimeDomainData(data)
+    let peak = 0
+    let sum = 0
+    for (let i = 0; i < data.length; i++) {
+      const v = Math.abs(data[i])
+      if (v > peak) peak = v
+      sum += data[i] * data[i]
+    }
+    return { peak, rms: Math.sqrt(sum / data.length) }
+  }
+
+  /**
+   * Closes the input device, if one is open.
+   * @private
+   */
+  _closeInput() {
+    if (this._inputSource) {
+      try { this._inputSource.disconnect() } catch (_) {}
+      this._inputSource = null
+    }
+    if (this._inputStream) {
+      this._inputStream.getTracks().forEach(track => track.stop())
+      this._inputStream = null
+    }
+  }
+
   /**
    * Resumes the AudioContext if it's suspended.
    * Usually needed after you interact with the page due to browser autoplay policies.
@@ -180,8 +396,12 @@ export default class AudioService {
       return
     }
     const clampedVolume = Math.max(0, Math.min(100, volume))
-    this.masterGainNode.gain.value = clampedVolume / 100.0
     atom.config.set('pulsar-punctual.masterVolume', clampedVolume)
+    if (this._panicked) {
+      this.log('Master volume: ' + clampedVolume + '% (muted until unpanic)', 'text-info')
+      return
+    }
+    this._rampMaster(clampedVolume / 100.0, 0)
     this.log('Master volume: ' + clampedVolume + '%', 'text-info')
   }
 
@@ -214,29 +434,89 @@ export default class AudioService {
   }
 
   /**
-   * Emergency audio stop (panic button) that immediately mutes all audio.
-   * This instantly sets the master volume to 0, optionally evaluates a silent Punctual expression,
-   * and automatically restores the previous volume level after 3 seconds.
-   * @async
-   * @param {Function} [evaluateFn] - Optional function to evaluate a Punctual expression for complete silence
-   * @returns {Promise<void>}
+   * Turns the safety limiter (with its DC blocker) on or off and sets its ceiling.
+   * @param {boolean} enabled - Whether the master gain goes through the limiter
+   * @param {number} [ceilingDb=-1] - Highest level let through (dBFS), -24 to 0
    */
-  async panic(evaluateFn) {
-    if (this.masterGainNode) {
-      this.masterGainNode.gain.value = 0
-    }
-    if (typeof evaluateFn === 'function') {
-      try { await evaluateFn('0 >> audio;') } catch (_) {}
-    }
+  setLimiter(enabled, ceilingDb = -1) {
+    if (!this.masterGainNode) return
+    const ceiling = Math.max(-24, Math.min(0, Number.isFinite(ceilingDb) ? ceilingDb : -1))
+    this.limiter.threshold.value = ceiling
+    this.makeupCancel.gain.value = Math.pow(10, -makeupGainDb(ceiling, this.limiter.ratio.value) / 20)
+    this._ceiling = Math.pow(10, ceiling / 20)
+    this.clipper.curve = clipCurve(this._ceiling)
 
-    // Restore master volume after a few seconds
-    setTimeout(() => {
-      if (this.masterGainNode) {
-        const masterVolume = atom.config.get('pulsar-punctual.masterVolume') || 70
-        this.masterGainNode.gain.value = masterVolume / 100.0
-        this.log('Master volume restored to ' + masterVolume + '%', 'text-info')
-      }
-    }, 3000)
+    enabled = !!enabled
+    if (enabled === this._limiterOn) return
+    try { this.masterGainNode.disconnect(enabled ? this.outputNode : this.dcBlocker) } catch (_) {}
+    this.masterGainNode.connect(enabled ? this.dcBlocker : this.outputNode)
+    // Don't log the initial setup, only changes
+    if (this._limiterOn !== null) this.log('Safety limiter ' + (enabled ? 'on (' + ceiling + ' dBFS)' : 'off'), 'text-info')
+    this._limiterOn = enabled
+  }
+
+  /**
+   * Measures what goes out to the speakers, after the limiter.
+   * `clip` is true when the signal into the limiter went over full scale, or when the output
+   * hit the limiter's ceiling; `reduction` is the limiter's gain reduction.
+   * @returns {{peak: number, rms: number, clip: boolean, reduction: number}|null} Linear levels and
+   *   gain reduction in dB, or null if audio isn't running
+   */
+  getOutputLevel() {
+    if (!this.outputAnalyser) return null
+    const level = this._measure(this.outputAnalyser)
+    const clip = this._measure(this.masterAnalyser).peak >= 1 ||
+      (this._limiterOn && level.peak >= this._ceiling * CLIP_TOLERANCE)
+    const reduction = this._limiterOn ? Math.max(0, -this.limiter.reduction) : 0
+    return { peak: level.peak, rms: level.rms, clip, reduction }
+  }
+
+  /**
+   * Emergency audio stop (panic button): fades the master gain to 0 and keeps it there until unpanic().
+   * Volume changes in the meantime are saved but not applied.
+   * @param {number} [fadeSeconds=0] - Length of the fade; 0 mutes at once
+   */
+  panic(fadeSeconds = 0) {
+    if (!this.masterGainNode) return
+    this._panicked = true
+    this._rampMaster(0, fadeSeconds)
+  }
+
+  /**
+   * Fades the master gain back to the configured volume after a panic.
+   * @param {number} [fadeSeconds=0] - Length of the fade; 0 restores at once
+   * @returns {boolean} True if audio was panicked and is coming back
+   */
+  unpanic(fadeSeconds = 0) {
+    if (!this.masterGainNode || !this._panicked) return false
+    this._panicked = false
+    const masterVolume = this.getMasterVolume()
+    this._rampMaster(masterVolume / 100.0, fadeSeconds)
+    this.log('Master volume restored to ' + masterVolume + '%', 'text-info')
+    return true
+  }
+
+  /**
+   * Checks whether the master gain is held at 0 by a panic.
+   * @returns {boolean} True between panic() and unpanic()
+   */
+  isPanicked() {
+    return this._panicked
+  }
+
+  /**
+   * Moves the master gain to a new value, dropping any fade still in progress.
+   * @private
+   * @param {number} value - Target gain
+   * @param {number} seconds - Length of the linear fade; 0 jumps straight there
+   */
+  _rampMaster(value, seconds) {
+    const gain = this.masterGainNode.gain
+    const now = this.audioContext.currentTime
+    gain.cancelScheduledValues(now)
+    gain.setValueAtTime(gain.value, now)
+    if (seconds > 0) gain.linearRampToValueAtTime(value, now + seconds)
+    else gain.setValueAtTime(value, now)
   }
 
   /**
@@ -252,6 +532,8 @@ export default class AudioService {
       this._patched = false
     }
 
+    this._closeInput()
+
     // Close audio context (await to ensure worklet processors are torn down)
     if (this.audioContext) {
       try { if (this.audioContext.state !== 'closed') await this.audioContext.close() } catch (_) {}
@@ -263,6 +545,18 @@ export default class AudioService {
       try { this.masterGainNode.disconnect() } catch (_) {}
       this.masterGainNode = null
     }
+    this.outputNode = null
+    this.dcBlocker = null
+    this.limiter = null
+    this.makeupCancel = null
+    this.clipper = null
+    this.masterAnalyser = null
+    this.outputAnalyser = null
+    this._limiterOn = null
+    this._ceiling = 1
+    this._panicked = false
+    this.inputGainNode = null
+    this.inputAnalyser = null
 
     // Clean up temp worklet files from this session
     if (this.workletFiles && this.workletFiles.length > 0) {
@@ -285,3 +579,30 @@ export default class AudioService {
     } catch (_) {}
   }
 }
+
+/**
+ * Works out the makeup gain a DynamicsCompressorNode adds on its own.
+ * Per the Web Audio spec it's (1 / gain at full scale) ^ 0.6; with a hard knee the gain at full scale
+ * is threshold * (1 - 1 / ratio) dB, e.g. about +13.7 dB for a -24 dB threshold at 20:1.
+ * @param {number} thresholdDb - Compressor threshold (dBFS)
+ * @param {number} ratio - Compressor ratio
+ * @returns {number} Makeup gain in dB
+ */
+function makeupGainDb(thresholdDb, ratio) {
+  return -0.6 * thresholdDb * (1 - 1 / ratio)
+}
+
+/**
+ * Builds a waveshaper curve that passes the signal unchanged up to the ceiling and hard-clips above it.
+ * Inputs beyond ±1 map to the curve's ends, so they're clipped too.
+ * @param {number} ceiling - Linear ceiling, 1 being full scale
+ * @returns {Float32Array} The curve
+ */
+function clipCurve(ceiling) {
+  const curve = new Float32Array(CLIP_CURVE_SIZE)
+  for (let i = 0; i < CLIP_CURVE_SIZE; i++) {
+    const x = (i / (CLIP_CURVE_SIZE - 1)) * 2 - 1
+    curve[i] = Math.max(-ceiling, Math.min(ceiling, x))
+  }
+  return curve
+}
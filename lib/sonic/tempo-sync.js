@@ -187,6 +187,44 @@ export default class TempoSync {
     return { applied: false, lastErr }
   }
 
+  /**
+   * Gets the tempo Punctual was last synced to.
+   * @returns {number|null} Cycles per second, or null if there is no tempo model yet
+   */
+  getCps() {
+    const m = this._tempoModel
+    return m && typeof m.freq === 'number' ? m.freq : null
+  }
+
+  /**
+   * Predicts the cycle count at a given time from the current tempo model.
+   * @param {number} timeSec - POSIX timestamp in seconds
+   * @returns {number|null} The cycle count (fractional), or null if there is no tempo model yet
+   */
+  cycleAt(timeSec) {
+    const m = this._tempoModel
+    if (!m || typeof m.freq !== 'number' || !(m.freq > 0) || typeof m.timeSec !== 'number' || typeof m.count !== 'number') return null
+    return m.count + (timeSec - m.timeSec) * m.freq
+  }
+
+  /**
+   * Finds the next quantization boundary after a given time.
+   * Boundaries are multiples of `unitCycles` in the tempo model's cycle count, so with a
+   * unit of 1 this is the start of the next cycle, with 0.25 the next quarter-cycle beat.
+   * @param {number} nowSec - POSIX timestamp in seconds to search from
+   * @param {number} unitCycles - Boundary spacing in cycles
+   * @returns {number|null} POSIX timestamp of the next boundary, or null if there is no tempo model yet
+   */
+  nextBoundary(nowSec, unitCycles) {
+    if (!(typeof unitCycles === 'number' && unitCycles > 0)) return null
+    const count = this.cycleAt(nowSec)
+    if (count === null) return null
+    const m = this._tempoModel
+    let next = Math.ceil(count / unitCycles) * unitCycles
+    if (next - count < 1e-9) next += unitCycles
+    return m.timeSec + (next - m.count) / m.freq
+  }
+
   /**
    * Handles a /dirt/play event from Tidal and updates Punctual's tempo if necessary.
    * This is the main entry point for tempo synchronization. It extracts CPS and cycle
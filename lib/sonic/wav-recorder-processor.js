@@ -0,0 +1,75 @@
+/**
+ * @file wav-recorder-processor.js
+ * AudioWorklet processor behind WavRecorder.
+ * Loaded with audioWorklet.addModule() rather than required, so it's plain JS without imports.
+ */
+
+/** Frames collected before a block is posted to the main thread */
+const BLOCK_FRAMES = 8192
+
+/**
+ * Collects the incoming audio into blocks and posts them to the main thread.
+ * Silence is recorded when nothing is connected, so the file keeps the session's timing.
+ */
+class WavRecorderProcessor extends AudioWorkletProcessor {
+  /**
+   * Creates the processor.
+   * @param {Object} options - Node options; processorOptions.channels is the number of channels to record
+   */
+  constructor(options) {
+    super()
+    this.channels = (options.processorOptions && options.processorOptions.channels) || 2
+    this.stopped = false
+    this._allocate()
+    this.port.onmessage = (e) => {
+      if (e.data !== 'stop') return
+      this._post()
+      this.stopped = true
+      this.port.postMessage({ stopped: true })
+    }
+  }
+
+  /**
+   * Starts a new block.
+   */
+  _allocate() {
+    this.block = []
+    for (let c = 0; c < this.channels; c++) this.block.push(new Float32Array(BLOCK_FRAMES))
+    this.filled = 0
+  }
+
+  /**
+   * Posts whatever is in the current block and starts a new one.
+   */
+  _post() {
+    if (!this.filled) return
+    const channels = this.block.map(data => data.slice(0, this.filled))
+    this.port.postMessage({ channels }, channels.map(data => data.buffer))
+    this._allocate()
+  }
+
+  /**
+   * Copies one render quantum into the current block.
+   * @param {Array<Array<Float32Array>>} inputs - The node's inputs
+   * @returns {boolean} False once stopped, so the processor can be collected
+   */
+  process(inputs) {
+    if (this.stopped) return false
+    const input = inputs[0] || []
+    const frames = input.length ? input[0].length : 128
+    let offset = 0
+    while (offset < frames) {
+      const count = Math.min(frames - offset, BLOCK_FRAMES - this.filled)
+      for (let c = 0; c < this.channels; c++) {
+        const source = input[c] || input[0]
+        if (source) this.block[c].set(source.subarray(offset, offset + count), this.filled)
+      }
+      this.filled += count
+      offset += count
+      if (this.filled === BLOCK_FRAMES) this._post()
+    }
+    return true
+  }
+}
+
+registerProcessor('punctual-wav-recorder', WavRecorderProcessor)
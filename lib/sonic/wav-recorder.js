@@ -0,0 +1,220 @@
+'use babel'
+
+/**
+ * @file wav-recorder.js
+ * Bounces the master bus to a WAV file.
+ * An AudioWorklet taps the audio losslessly at the context's sample rate; blocks are written as they arrive.
+ */
+
+import { wavHeader, encodeFrames, bytesPerSample, HEADER_BYTES, MAX_DATA_BYTES } from './wav.js'
+import { formatElapsed } from '../recorder.js'
+
+const fs = require('fs')
+const path = require('path')
+const { pathToFileURL } = require('url')
+
+/** Processor module, loaded straight from disk */
+const PROCESSOR_PATH = path.join(__dirname, 'wav-recorder-processor.js')
+
+/** Name the processor registers under */
+const PROCESSOR_NAME = 'punctual-wav-recorder'
+
+/** Channels recorded */
+const CHANNELS = 2
+
+/** How often progress is logged (seconds of audio) */
+const PROGRESS_SECONDS = 30
+
+/** How long stop() waits for the last block from the worklet (ms) */
+const STOP_TIMEOUT_MS = 1000
+
+/**
+ * WAV recorder for the master bus.
+ * Stops by itself at the configured maximum length, and before the file outgrows what WAV can describe.
+ */
+export default class WavRecorder {
+  /**
+   * Creates a new WavRecorder. Nothing is recorded until start() is called.
+   * @param {Function} [log] - Optional logging function that takes (message, cssClass) parameters
+   */
+  constructor(log = () => {}) {
+    this.log = (msg, cls) => { try { log(msg, cls) } catch (_) {} }
+    this._loadedContexts = new WeakSet()
+    this._node = null
+    this._source = null
+    this._fd = null
+    this._filePath = null
+    this._format = 'float32'
+    this._sampleRate = 0
+    this._frames = 0
+    this._maxFrames = Infinity
+    this._nextProgress = 0
+    this._stopping = null
+  }
+
+  /**
+   * Checks whether a recording is running.
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return !!this._node
+  }
+
+  /**
+   * Starts recording.
+   * @param {Object} options
+   * @param {AudioNode} options.audioNode - Node whose output gets recorded (the master output)
+   * @param {string} options.filePath - Where to write the WAV file
+   * @param {string} [options.format='float32'] - 'float32' or 'int16'
+   * @param {number} [options.maxSeconds=0] - Stop after this long; 0 for no limit other than the WAV size limit
+   * @returns {Promise<boolean>} True if recording started
+   */
+  async start({ audioNode, filePath, format = 'float32', maxSeconds = 0 }) {
+    if (this._node || this._stopping) {
+      this.log('Already recording audio to ' + this._filePath, 'text-warning')
+      return false
+    }
+    const context = audioNode && audioNode.context
+    if (!context || !context.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      this.log('Audio is not running; nothing to record', 'text-error')
+      return false
+    }
+
+    let node
+    try {
+      if (!this._loadedContexts.has(context)) {
+        await context.audioWorklet.addModule(pathToFileURL(PROCESSOR_PATH).href)
+        this._loadedContexts.add(context)
+      }
+      node = new AudioWorkletNode(context, PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        // No outputs: the node gets pulled without being connected to the speakers
+        numberOfOutputs: 0,
+        channelCount: CHANNELS,
+        channelCountMode: 'explicit',
+        processorOptions: { channels: CHANNELS }
+      })
+    } catch (e) {
+      this.log('Could not start audio recording: ' + e.message, 'text-error')
+      return false
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      this._fd = fs.openSync(filePath, 'w')
+      fs.writeSync(this._fd, wavHeader({ sampleRate: context.sampleRate, channels: CHANNELS, format }))
+    } catch (e) {
+      if (this._fd !== null) try { fs.closeSync(this._fd) } catch (_) {}
+      this._fd = null
+      this.log('Could not create ' + filePath + ': ' + e.message, 'text-error')
+      return false
+    }
+
+    const frameBytes = CHANNELS * bytesPerSample(format)
+    const sizeLimit = Math.floor(MAX_DATA_BYTES / frameBytes)
+    this._node = node
+    this._source = audioNode
+    this._filePath = filePath
+    this._format = format
+    this._sampleRate = context.sampleRate
+    this._frames = 0
+    this._maxFrames = maxSeconds > 0 ? Math.min(sizeLimit, Math.round(maxSeconds * context.sampleRate)) : sizeLimit
+    this._nextProgress = PROGRESS_SECONDS * context.sampleRate
+
+    node.port.onmessage = (e) => {
+      if (e.data && e.data.channels) this._write(e.data.channels)
+    }
+    audioNode.connect(node)
+    this.log(`Recording audio (${context.sampleRate} Hz, ${format === 'int16' ? '16-bit' : '32-bit float'}) to ${filePath}`, 'text-success')
+    return true
+  }
+
+  /**
+   * Stops recording and finishes the file.
+   * @returns {Promise<string|null>} Path of the saved file, or null if nothing was recording
+   */
+  stop() {
+    if (this._stopping) return this._stopping
+    if (!this._node) return Promise.resolve(null)
+    this._stopping = this._finish().finally(() => { this._stopping = null })
+    return this._stopping
+  }
+
+  /**
+   * Stops any recording.
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    await this.stop()
+  }
+
+  /**
+   * Collects the last block from the worklet, then writes the final header and closes the file.
+   * @private
+   * @returns {Promise<string>} Path of the saved file
+   */
+  async _finish() {
+    const node = this._node
+    const filePath = this._filePath
+
+    try { this._source.disconnect(node) } catch (_) {}
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, STOP_TIMEOUT_MS)
+      node.port.onmessage = (e) => {
+        if (e.data && e.data.channels) this._write(e.data.channels)
+        if (e.data && e.data.stopped) {
+          clearTimeout(timer)
+          resolve()
+        }
+      }
+      node.port.postMessage('stop')
+    })
+    node.port.onmessage = null
+
+    const seconds = this._frames / this._sampleRate
+    try {
+      const dataBytes = this._frames * CHANNELS * bytesPerSample(this._format)
+      fs.writeSync(this._fd, wavHeader({ sampleRate: this._sampleRate, channels: CHANNELS, format: this._format, dataBytes }), 0, HEADER_BYTES, 0)
+      fs.closeSync(this._fd)
+    } catch (e) {
+      this.log('Could not finish ' + filePath + ': ' + e.message, 'text-error')
+    }
+
+    this._node = null
+    this._source = null
+    this._fd = null
+    this._filePath = null
+    this.log('Audio recording saved (' + formatElapsed(seconds * 1000) + '): ' + filePath, 'text-success')
+    return filePath
+  }
+
+  /**
+   * Appends a block from the worklet to the file, logging progress and stopping at the limit.
+   * @private
+   * @param {Array<Float32Array>} channels - One array per channel
+   */
+  _write(channels) {
+    if (this._fd === null || this._frames >= this._maxFrames) return
+    const room = this._maxFrames - this._frames
+    if (channels[0].length > room) channels = channels.map(data => data.subarray(0, room))
+
+    try {
+      fs.writeSync(this._fd, encodeFrames(channels, this._format))
+    } catch (e) {
+      this.log('Audio recording write failed: ' + e.message, 'text-error')
+      this.stop()
+      return
+    }
+    this._frames += channels[0].length
+
+    if (this._frames >= this._nextProgress) {
+      this._nextProgress += PROGRESS_SECONDS * this._sampleRate
+      const mb = (HEADER_BYTES + this._frames * CHANNELS * bytesPerSample(this._format)) / (1024 * 1024)
+      this.log(`Recording audio: ${formatElapsed(this._frames / this._sampleRate * 1000)} (${mb.toFixed(1)} MB)`, 'text-info')
+    }
+    if (this._frames >= this._maxFrames) {
+      this.log('Audio recording reached its maximum length', 'text-warning')
+      this.stop()
+    }
+  }
+}
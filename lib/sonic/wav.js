@@ -0,0 +1,80 @@
+'use babel'
+
+/**
+ * @file wav.js
+ * Minimal WAV encoding for audio bounces.
+ * 32-bit float or 16-bit PCM, interleaved, little endian.
+ */
+
+/** Size of the canonical WAV header (bytes) */
+export const HEADER_BYTES = 44
+
+/** Largest data chunk a WAV file can describe (bytes) */
+export const MAX_DATA_BYTES = 0xffffffff - HEADER_BYTES
+
+/**
+ * Gets the size of one sample.
+ * @param {string} format - 'float32' or 'int16'
+ * @returns {number} Bytes per sample
+ */
+export function bytesPerSample(format) {
+  return format === 'int16' ? 2 : 4
+}
+
+/**
+ * Builds a WAV header.
+ * Write it with a data size of 0 first and again with the real size when the recording ends.
+ *
+ * @param {Object} options
+ * @param {number} options.sampleRate - Samples per second
+ * @param {number} options.channels - Number of channels
+ * @param {string} options.format - 'float32' or 'int16'
+ * @param {number} [options.dataBytes=0] - Size of the sample data
+ * @returns {Buffer} The 44-byte header
+ */
+export function wavHeader({ sampleRate, channels, format, dataBytes = 0 }) {
+  const bytes = bytesPerSample(format)
+  const header = Buffer.alloc(HEADER_BYTES)
+  header.write('RIFF', 0, 'latin1')
+  header.writeUInt32LE(Math.min(0xffffffff, 36 + dataBytes), 4)
+  header.write('WAVE', 8, 'latin1')
+  header.write('fmt ', 12, 'latin1')
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(format === 'int16' ? 1 : 3, 20) // 1 = PCM, 3 = IEEE float
+  header.writeUInt16LE(channels, 22)
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(sampleRate * channels * bytes, 28)
+  header.writeUInt16LE(channels * bytes, 32)
+  header.writeUInt16LE(bytes * 8, 34)
+  header.write('data', 36, 'latin1')
+  header.writeUInt32LE(Math.min(MAX_DATA_BYTES, dataBytes), 40)
+  return header
+}
+
+/**
+ * Interleaves planar channel data into WAV sample data.
+ * 16-bit samples are clipped to full scale.
+ *
+ * @param {Array<Float32Array>} channels - One array per channel, all the same length
+ * @param {string} format - 'float32' or 'int16'
+ * @returns {Buffer} The sample data
+ */
+export function encodeFrames(channels, format) {
+  const frames = channels.length ? channels[0].length : 0
+  const bytes = bytesPerSample(format)
+  const out = Buffer.alloc(frames * channels.length * bytes)
+  let offset = 0
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels.length; c++) {
+      const v = channels[c][i]
+      if (format === 'int16') {
+        const s = Math.max(-1, Math.min(1, v))
+        out.writeInt16LE(Math.round(s < 0 ? s * 0x8000 : s * 0x7fff), offset)
+      } else {
+        out.writeFloatLE(v, offset)
+      }
+      offset += bytes
+    }
+  }
+  return out
+}
@@ -0,0 +1,181 @@
+'use babel'
+
+/**
+ * @file zone-manager.js
+ * Decides which Punctual zone a piece of code is evaluated into.
+ * Tracks per-editor zones, zone marker comments and the set of active zones.
+ */
+
+/** Matches a zone marker comment on its own line, e.g. `-- zone 2` */
+const ZONE_MARKER = /^\s*--\s*zone\s*[:=]?\s*(\d+)\s*$/im
+
+/**
+ * Keeps track of Punctual zones.
+ * Each editor gets its own zone the first time it evaluates something, unless the
+ * evaluated block carries a zone marker comment, which always wins.
+ */
+export default class ZoneManager {
+  /**
+   * Creates a new ZoneManager.
+   * Starts with no editors assigned and no active zones.
+   */
+  constructor() {
+    /**
+     * Zone assigned to each editor, keyed by editor id
+     * @type {Map<number, number>}
+     * @private
+     */
+    this._editorZones = new Map()
+
+    /**
+     * Destroy subscriptions for editors with a zone, keyed by editor id
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this._editorSubs = new Map()
+
+    /**
+     * Zones claimed by zone marker comments, kept out of per-editor assignment
+     * @type {Set<number>}
+     * @private
+     */
+    this._markedZones = new Set()
+
+    /**
+     * Zones that currently have a program defined, with a label describing where it came from
+     * @type {Map<number, string>}
+     * @private
+     */
+    this._active = new Map()
+  }
+
+  /**
+   * Looks for a zone marker comment (`-- zone N`) in a piece of code.
+   *
+   * @param {string} text - The code to scan
+   * @returns {number|null} The zone number, or null if there's no marker
+   */
+  parseZoneMarker(text) {
+    if (typeof text !== 'string') return null
+    const match = ZONE_MARKER.exec(text)
+    return match ? parseInt(match[1], 10) : null
+  }
+
+  /**
+   * Gets the zone belonging to an editor, assigning the lowest free zone if it doesn't have one yet.
+   * Zones held by other editors, claimed by zone markers or still running a program aren't free.
+   * The assignment is dropped when the editor is destroyed; its zone stays taken until it's cleared. When per-editor zones are turned off, every editor shares zone 0.
+   *
+   * @param {Object} editor - The Atom TextEditor instance
+   * @returns {number} The editor's zone
+   */
+  zoneForEditor(editor) {
+    if (!editor || !this._perEditorEnabled()) return 0
+    const id = editor.id
+    if (this._editorZones.has(id)) return this._editorZones.get(id)
+
+    const taken = new Set([...this._editorZones.values(), ...this._markedZones, ...this._active.keys()])
+    let zone = 0
+    while (taken.has(zone)) zone++
+    this._editorZones.set(id, zone)
+    if (typeof editor.onDidDestroy === 'function') {
+      this._editorSubs.set(id, editor.onDidDestroy(() => {
+        this._editorZones.delete(id)
+        this._editorSubs.delete(id)
+      }))
+    }
+    return zone
+  }
+
+  /**
+   * Works out which zone some code from an editor should go to.
+   * A zone marker in the code takes priority over the editor's own zone.
+   *
+   * @param {Object} editor - The Atom TextEditor the code came from
+   * @param {string} text - The code being evaluated
+   * @returns {number} The zone to evaluate into
+   */
+  resolve(editor, text) {
+    const marked = this.parseZoneMarker(text)
+    if (marked !== null) {
+      this._markedZones.add(marked)
+      return marked
+    }
+    return this.zoneForEditor(editor)
+  }
+
+  /**
+   * Records that a zone has a program defined.
+   *
+   * @param {number} zone - The zone number
+   * @param {string} [label] - Where the program came from (e.g. the editor title)
+   */
+  markActive(zone, label) {
+    this._active.set(zone, label || this._active.get(zone) || '')
+  }
+
+  /**
+   * Records that a zone has been cleared.
+   *
+   * @param {number} zone - The zone number
+   */
+  markCleared(zone) {
+    this._active.delete(zone)
+  }
+
+  /**
+   * Checks whether a zone currently has a program defined.
+   *
+   * @param {number} zone - The zone number
+   * @returns {boolean} True if the zone is active
+   */
+  isActive(zone) {
+    return this._active.has(zone)
+  }
+
+  /**
+   * Gets all active zones in ascending order, which is also the order they're rendered in.
+   *
+   * @returns {number[]} Sorted zone numbers
+   */
+  getActiveZones() {
+    return Array.from(this._active.keys()).sort((a, b) => a - b)
+  }
+
+  /**
+   * Gets the label recorded for an active zone.
+   *
+   * @param {number} zone - The zone number
+   * @returns {string} The label, or an empty string if there isn't one
+   */
+  getLabel(zone) {
+    return this._active.get(zone) || ''
+  }
+
+  /**
+   * Forgets everything: editor assignments, marker-claimed zones and active zones.
+   * Used when Punctual is stopped.
+   */
+  reset() {
+    this._editorSubs.forEach(sub => sub.dispose())
+    this._editorSubs.clear()
+    this._editorZones.clear()
+    this._markedZones.clear()
+    this._active.clear()
+  }
+
+  /**
+   * Reads the per-editor zone setting.
+   *
+   * @private
+   * @returns {boolean} True if each editor should get its own zone
+   */
+  _perEditorEnabled() {
+    try {
+      const enabled = atom.config.get('pulsar-punctual.evaluation.zonePerEditor')
+      return enabled !== false
+    } catch (_) {
+      return true
+    }
+  }
+}
@@ -0,0 +1,55 @@
+'use babel';
+
+import AdaptiveScale, { clampScale, MIN_SCALE } from '../lib/adaptive-scale';
+
+// Feeds frames of a fixed length for a while, returns the last reported scale change
+function run(adaptive, frameMs, durationMs, start = 0) {
+  let changed = null;
+  for (let t = start; t <= start + durationMs; t += frameMs) {
+    const next = adaptive.sample(frameMs, t);
+    if (next !== null) changed = next;
+  }
+  return changed;
+}
+
+describe('AdaptiveScale', () => {
+  it('keeps the configured scale when disabled', () => {
+    const adaptive = new AdaptiveScale({ maxScale: 0.5, budgetMs: 10 });
+    expect(run(adaptive, 50, 5000)).toBeNull();
+    expect(adaptive.scale).toBe(0.5);
+  });
+
+  it('scales down when frames go over budget', () => {
+    const adaptive = new AdaptiveScale({ maxScale: 1, budgetMs: 20, enabled: true });
+    run(adaptive, 40, 1100);
+    expect(adaptive.scale).toBeLessThan(1);
+    run(adaptive, 40, 10000, 1200);
+    expect(adaptive.scale).toBe(MIN_SCALE);
+  });
+
+  it('scales back up slowly, never above the configured scale', () => {
+    const adaptive = new AdaptiveScale({ maxScale: 0.75, budgetMs: 20, enabled: true });
+    run(adaptive, 40, 3000);
+    const low = adaptive.scale;
+    expect(low).toBeLessThan(0.75);
+    run(adaptive, 5, 3100, 4000);
+    expect(adaptive.scale).toBeGreaterThan(low);
+    run(adaptive, 5, 60000, 8000);
+    expect(adaptive.scale).toBe(0.75);
+  });
+
+  it('ignores pauses', () => {
+    const adaptive = new AdaptiveScale({ budgetMs: 20, enabled: true });
+    expect(run(adaptive, 1000, 10000)).toBeNull();
+    expect(adaptive.scale).toBe(1);
+  });
+});
+
+describe('clampScale', () => {
+  it('rounds to steps and keeps the range', () => {
+    expect(clampScale(0.52)).toBe(0.5);
+    expect(clampScale(0.1)).toBe(MIN_SCALE);
+    expect(clampScale(2)).toBe(1);
+    expect(clampScale(0.9, 0.75)).toBe(0.75);
+  });
+});
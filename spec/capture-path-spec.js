@@ -0,0 +1,29 @@
+'use babel';
+
+import { capturePath, timestamp } from '../lib/capture-path';
+
+const os = require('os');
+const path = require('path');
+
+describe('capture-path', () => {
+  const date = new Date(2025, 2, 1, 21, 30, 5);
+
+  it('formats timestamps in local time', () => {
+    expect(timestamp(date)).toBe('20250301-213005');
+  });
+
+  it('saves next to the source file by default', () => {
+    expect(capturePath({ sourcePath: '/sets/opener.punc', ext: 'webm', date }))
+      .toBe('/sets/opener-20250301-213005.webm');
+  });
+
+  it('prefers the configured folder and expands ~', () => {
+    expect(capturePath({ sourcePath: '/sets/opener.punc', folder: '~/rec', ext: 'png', date }))
+      .toBe(path.join(os.homedir(), 'rec', 'opener-20250301-213005.png'));
+  });
+
+  it('falls back to the home folder for unsaved code', () => {
+    expect(capturePath({ ext: 'wav', date }))
+      .toBe(path.join(os.homedir(), 'punctual-20250301-213005.wav'));
+  });
+});
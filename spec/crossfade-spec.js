@@ -0,0 +1,53 @@
+'use babel';
+
+import { applyCrossfade, parseXfadeDirective, longestFade } from '../lib/crossfade';
+
+describe('crossfade', () => {
+  describe('parseXfadeDirective', () => {
+    it('reads the fade time from a comment line', () => {
+      expect(parseXfadeDirective('-- xfade 8\ncircle 0 0.1 >> add;')).toBe(8);
+      expect(parseXfadeDirective('circle 0 0.1 >> add;\n  --xfade: 0.5')).toBe(0.5);
+    });
+
+    it('returns null without a directive', () => {
+      expect(parseXfadeDirective('circle 0 0.1 >> add; -- xfade 8')).toBeNull();
+      expect(parseXfadeDirective('-- xfade soon')).toBeNull();
+      expect(parseXfadeDirective(null)).toBeNull();
+    });
+  });
+
+  describe('applyCrossfade', () => {
+    it('puts the fade before a trailing comment', () => {
+      expect(applyCrossfade('circle 0 0.1 >> add; -- shape >> add\n', 4)).toBe('circle 0 0.1 >> add <> 4; -- shape >> add\n');
+      expect(applyCrossfade('circle 0 0.1 >> add -- shape\n', 4)).toBe('circle 0 0.1 >> add <> 4 -- shape\n');
+    });
+
+    it('leaves statements that set their own fade alone', () => {
+      expect(applyCrossfade('saw 110 >> audio <> 2;\nosc 1 >> audio;', 4)).toBe('saw 110 >> audio <> 2;\nosc 1 >> audio <> 4;');
+    });
+
+    it('leaves statements without an output alone', () => {
+      expect(applyCrossfade('a << osc 1;\na >> audio;', 4)).toBe('a << osc 1;\na >> audio <> 4;');
+    });
+
+    it('does nothing for zero or invalid seconds', () => {
+      const text = 'circle 0 0.1 >> add;';
+      expect(applyCrossfade(text, 0)).toBe(text);
+      expect(applyCrossfade(text, -1)).toBe(text);
+      expect(applyCrossfade(text, NaN)).toBe(text);
+      expect(applyCrossfade(text, '4')).toBe(text);
+    });
+  });
+
+  describe('longestFade', () => {
+    it('finds the longest literal fade', () => {
+      expect(longestFade('circle 0 0.1 >> add <> 2;\nsaw 110 >> audio <> 8.5;')).toBe(8.5);
+      expect(longestFade('x >> add <> .5;')).toBe(0.5);
+    });
+
+    it('ignores comments and programs without fades', () => {
+      expect(longestFade('circle 0 0.1 >> add; -- <> 20')).toBe(0);
+      expect(longestFade(null)).toBe(0);
+    });
+  });
+});
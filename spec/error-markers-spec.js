@@ -0,0 +1,39 @@
+'use babel';
+
+import ErrorMarkers from '../lib/error-markers';
+
+describe('ErrorMarkers', () => {
+  let markers;
+
+  beforeEach(() => {
+    markers = new ErrorMarkers();
+  });
+
+  describe('parsePosition', () => {
+    it('reads line and column from a parser message', () => {
+      expect(markers.parsePosition('unexpected ">>" (line 2, column 14)')).toEqual({ line: 2, column: 14 });
+      expect(markers.parsePosition('Error at line 1, col 3')).toEqual({ line: 1, column: 3 });
+    });
+
+    it('returns null without a position', () => {
+      expect(markers.parsePosition('something went wrong')).toBeNull();
+      expect(markers.parsePosition(undefined)).toBeNull();
+    });
+  });
+
+  describe('toBufferPosition', () => {
+    const origin = { row: 10, column: 4 };
+
+    it('shifts the first line by the origin column', () => {
+      expect(markers.toBufferPosition({ line: 1, column: 3 }, origin)).toEqual({ row: 10, column: 6 });
+    });
+
+    it('leaves later lines at their own column', () => {
+      expect(markers.toBufferPosition({ line: 3, column: 3 }, origin)).toEqual({ row: 12, column: 2 });
+    });
+
+    it('treats column 0 like column 1', () => {
+      expect(markers.toBufferPosition({ line: 2, column: 0 }, origin)).toEqual({ row: 11, column: 0 });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+'use babel';
+
+import EvalHistory from '../lib/eval-history';
+
+describe('EvalHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new EvalHistory();
+  });
+
+  describe('push', () => {
+    it('keeps one entry when the same text is evaluated twice in a row', () => {
+      history.push(0, 'a');
+      history.push(0, 'a');
+      expect(history.entries(0).length).toBe(1);
+
+      history.push(0, 'b');
+      history.push(0, 'a');
+      expect(history.entries(0).map(entry => entry.text)).toEqual(['a', 'b', 'a']);
+    });
+
+    it('drops the oldest entries past the history size', () => {
+      atom.config.set('pulsar-punctual.evaluation.historySize', 3);
+      ['a', 'b', 'c', 'd', 'e'].forEach(text => history.push(0, text));
+      expect(history.entries(0).map(entry => entry.text)).toEqual(['c', 'd', 'e']);
+      expect(history.cursor(0)).toBe(2);
+    });
+
+    it('keeps zones apart', () => {
+      history.push(0, 'a');
+      history.push(1, 'b');
+      expect(history.entries(0).length).toBe(1);
+      expect(history.cursor(2)).toBe(-1);
+    });
+  });
+
+  describe('cursor', () => {
+    beforeEach(() => {
+      ['a', 'b', 'c'].forEach(text => history.push(0, text));
+    });
+
+    it('peeks at neighbours without moving', () => {
+      expect(history.peek(0, -1)).toEqual({ index: 1, entry: history.entries(0)[1] });
+      expect(history.peek(0, 1)).toBeNull();
+      expect(history.cursor(0)).toBe(2);
+    });
+
+    it('moves within the entries only', () => {
+      history.moveTo(0, 0);
+      expect(history.cursor(0)).toBe(0);
+      expect(history.peek(0, -1)).toBeNull();
+      history.moveTo(0, 5);
+      expect(history.cursor(0)).toBe(0);
+    });
+
+    it('finds the program before the newest wherever the cursor is', () => {
+      history.moveTo(0, 0);
+      expect(history.previousOfLatest(0).index).toBe(1);
+      expect(history.previousOfLatest(0).entry.text).toBe('b');
+      expect(history.previousOfLatest(1)).toBeNull();
+    });
+
+    it('points at the newest entry again after a push', () => {
+      history.moveTo(0, 0);
+      history.push(0, 'd');
+      expect(history.cursor(0)).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+'use babel';
+
+import { listFences, punctualFenceRangeAt, extractPunctualCode } from '../lib/markdown-fences';
+
+describe('markdown fences', () => {
+  const text = [
+    '# Lesson',
+    'Some prose.',
+    '```punctual',
+    'circle 0 0.1 >> add;',
+    '',
+    '0.5 >> add;',
+    '```',
+    '```js',
+    'foo()',
+    '```'
+  ].join('\n');
+  const lines = text.split('\n');
+
+  it('lists fences with their info strings', () => {
+    expect(listFences(lines).map(f => f.info)).toEqual(['punctual', 'js']);
+  });
+
+  it('finds the contents of the punctual fence around a row', () => {
+    expect(punctualFenceRangeAt(lines, 4)).toEqual({
+      start: { row: 3, column: 0 },
+      end: { row: 6, column: 0 }
+    });
+  });
+
+  it('ignores rows outside punctual fences', () => {
+    expect(punctualFenceRangeAt(lines, 1)).toBeNull();
+    expect(punctualFenceRangeAt(lines, 8)).toBeNull();
+  });
+
+  it('blanks everything but punctual code without shifting rows', () => {
+    const code = extractPunctualCode(text).split('\n');
+    expect(code.length).toBe(lines.length);
+    expect(code[3]).toBe('circle 0 0.1 >> add;');
+    expect(code[1]).toBe('');
+    expect(code[8]).toBe('');
+  });
+});
@@ -0,0 +1,67 @@
+'use babel';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { hasMediaPaths, resolveMediaPaths, MediaPathError } from '../lib/media-paths';
+
+describe('media-paths', () => {
+  let dir;
+  let main;
+
+  const write = (name) => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '');
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'punctual-media-'));
+    main = write('main.punc');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('spots media calls', () => {
+    expect(hasMediaPaths('img "a.png" >> add')).toBe(true);
+    expect(hasMediaPaths('circle 0 0.1 >> add')).toBe(false);
+  });
+
+  it('resolves relative paths against the file to file:// URLs', () => {
+    const grain = write('textures/grain.png');
+    const text = resolveMediaPaths('img "textures/grain.png" >> add;', { filePath: main });
+    expect(text).toBe('img "' + pathToFileURL(grain).href + '" >> add;');
+  });
+
+  it('resolves included lines against the included file', () => {
+    const clip = write('lib/clip.mp4');
+    const lineMap = [{ file: path.join(dir, 'lib/shapes.punc'), line: 0, rootLine: 0 }];
+    const text = resolveMediaPaths('vid "clip.mp4"', { filePath: main, lineMap });
+    expect(text).toBe('vid "' + pathToFileURL(clip).href + '"');
+  });
+
+  it('leaves URLs and comments alone', () => {
+    const code = 'img "https://example.com/a.png" >> add; -- img "missing.png"';
+    expect(resolveMediaPaths(code, { filePath: main })).toBe(code);
+  });
+
+  it('reports missing files with their position', () => {
+    let error = null;
+    try {
+      resolveMediaPaths('a << 1;\n  img "nope.png" >> add;', { filePath: main });
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof MediaPathError).toBe(true);
+    expect(error.line).toBe(1);
+    expect(error.column).toBe(7);
+  });
+
+  it('needs a saved file for relative paths', () => {
+    expect(() => resolveMediaPaths('img "a.png"', {})).toThrow();
+  });
+});
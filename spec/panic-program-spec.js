@@ -0,0 +1,31 @@
+'use babel';
+
+import { withoutAudio, panicProgram } from '../lib/panic-program';
+
+describe('panic-program', () => {
+  describe('withoutAudio', () => {
+    it('drops audio outputs and keeps everything else', () => {
+      const text = 'a << osc 1;\ncircle 0 0.1 >> add;\nsaw a >> audio <> 2;\n';
+      expect(withoutAudio(text)).toBe('a << osc 1;\ncircle 0 0.1 >> add;\n');
+    });
+
+    it('ignores audio outputs inside comments', () => {
+      expect(withoutAudio('-- saw 1 >> audio;\ncircle 0 0.1 >> add;')).toBe('-- saw 1 >> audio;\ncircle 0 0.1 >> add;');
+    });
+  });
+
+  describe('panicProgram', () => {
+    it('silences the audio of a zone and keeps its visuals', () => {
+      expect(panicProgram({ text: 'circle 0 0.1 >> add\n-- shape', playsAudio: true, clearVisuals: false }))
+        .toBe('0 >> audio <> 0;\ncircle 0 0.1 >> add\n-- shape');
+      expect(panicProgram({ text: 'saw 110 >> audio', playsAudio: true, clearVisuals: false })).toBe('0 >> audio <> 0;');
+      expect(panicProgram({ text: null, playsAudio: true, clearVisuals: false })).toBe('0 >> audio <> 0;');
+    });
+
+    it('leaves silent zones alone unless visuals are cleared', () => {
+      expect(panicProgram({ text: 'circle 0 0.1 >> add;', playsAudio: false, clearVisuals: false })).toBeNull();
+      expect(panicProgram({ text: 'circle 0 0.1 >> add;', playsAudio: false, clearVisuals: true })).toBe('0 >> add;');
+      expect(panicProgram({ text: 'saw 110 >> audio;', playsAudio: true, clearVisuals: true })).toBe('0 >> audio <> 0;\n0 >> add;');
+    });
+  });
+});
@@ -0,0 +1,23 @@
+'use babel';
+
+import { FrameStats } from '../lib/perf-hud';
+
+describe('FrameStats', () => {
+  it('summarizes the last second of frames', () => {
+    const stats = new FrameStats();
+    stats.add(20, 2, -500);
+    for (let t = 20; t < 1000; t += 20) stats.add(20, 2, t);
+    stats.add(80, 4, 1000);
+    const s = stats.summary(1000);
+    expect(s.fps).toBe(50);
+    expect(s.worstMs).toBe(80);
+    expect(s.avgMs).toBeCloseTo(21.2, 6);
+    expect(s.costMs).toBeCloseTo(2.04, 6);
+  });
+
+  it('is empty when nothing was rendered lately', () => {
+    const stats = new FrameStats();
+    stats.add(16, 1, 0);
+    expect(stats.summary(5000)).toEqual({ fps: 0, avgMs: 0, worstMs: 0, costMs: 0 });
+  });
+});
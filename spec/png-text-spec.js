@@ -0,0 +1,36 @@
+'use babel';
+
+import { crc32, addTextChunks, readTextChunks } from '../lib/png-text';
+
+// Smallest valid PNG: a 1x1 grey pixel
+const PIXEL = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGNgAAAAAgABSK+kcQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+describe('png-text', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('adds entries before IEND and reads them back', () => {
+    const program = 'circle 0 0.2 >> add; -- ünïcode';
+    const png = addTextChunks(PIXEL, { 'Punctual Program': program, Software: 'pulsar-punctual' });
+    expect(png.length).toBeGreaterThan(PIXEL.length);
+    expect(png.subarray(png.length - 12).equals(PIXEL.subarray(PIXEL.length - 12))).toBe(true);
+    expect(readTextChunks(png)).toEqual({ 'Punctual Program': program, Software: 'pulsar-punctual' });
+  });
+
+  it('writes valid chunk checksums', () => {
+    const png = addTextChunks(PIXEL, { Comment: 'hi' });
+    const offset = PIXEL.length - 12;
+    const length = png.readUInt32BE(offset);
+    const body = png.subarray(offset + 4, offset + 8 + length);
+    expect(png.readUInt32BE(offset + 8 + length)).toBe(crc32(body));
+  });
+
+  it('rejects other files', () => {
+    expect(() => addTextChunks(Buffer.from('nope'), { a: 'b' })).toThrow();
+    expect(readTextChunks(Buffer.from('nope'))).toEqual({});
+  });
+});
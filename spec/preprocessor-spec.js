@@ -0,0 +1,74 @@
+'use babel';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandIncludes, IncludeError } from '../lib/preprocessor';
+
+describe('preprocessor', () => {
+  let dir;
+
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'punctual-include-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('expands includes relative to the including file', () => {
+    write('lib/shapes.punc', 'dot << circle 0 0.1;');
+    const main = write('main.punc', '');
+    const { text, lineMap } = expandIncludes('-- #include "lib/shapes.punc"\ndot >> add;', { filePath: main });
+    expect(text).toBe('dot << circle 0 0.1;\ndot >> add;');
+    expect(lineMap[0].file).toBe(path.join(dir, 'lib/shapes.punc'));
+    expect(lineMap[1]).toEqual({ file: null, line: 1, rootLine: 1 });
+  });
+
+  it('falls back to the library folder', () => {
+    const library = path.join(dir, 'library');
+    write('library/synth.punc', 'synth mn = sqr $ midicps mn;');
+    const { text } = expandIncludes('-- #include "synth.punc"', { filePath: null, libraryDir: library });
+    expect(text).toBe('synth mn = sqr $ midicps mn;');
+  });
+
+  it('maps nested include lines to the top-level directive', () => {
+    write('a.punc', 'a << 1;\n-- #include "b.punc"');
+    write('b.punc', 'b << 2;');
+    const main = write('main.punc', '');
+    const { lineMap } = expandIncludes('x << 0;\n-- #include "a.punc"', { filePath: main });
+    expect(lineMap[2].file).toBe(path.join(dir, 'b.punc'));
+    expect(lineMap[2].rootLine).toBe(1);
+  });
+
+  it('reports missing includes at the directive line', () => {
+    let error = null;
+    try {
+      expandIncludes('x << 0;\n-- #include "nope.punc"', { filePath: write('main.punc', '') });
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof IncludeError).toBe(true);
+    expect(error.line).toBe(1);
+  });
+
+  it('detects include cycles', () => {
+    write('a.punc', '-- #include "b.punc"');
+    write('b.punc', '-- #include "a.punc"');
+    let error = null;
+    try {
+      expandIncludes('-- #include "a.punc"', { filePath: write('main.punc', '') });
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof IncludeError).toBe(true);
+    expect(error.message).toContain('cycle');
+  });
+});
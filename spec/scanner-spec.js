@@ -0,0 +1,54 @@
+'use babel';
+
+import { maskText, splitStatements, findStatementGroup, findStatementAt } from '../lib/scanner';
+
+describe('scanner', () => {
+  describe('maskText', () => {
+    it('blanks comments and string contents without changing length', () => {
+      const text = 'img "a;b" >> add; -- c;d';
+      const masked = maskText(text);
+      expect(masked.length).toBe(text.length);
+      expect(masked).toBe('img "___" >> add; ' + ' '.repeat(6));
+    });
+  });
+
+  describe('splitStatements', () => {
+    it('ignores semicolons in brackets, strings and comments', () => {
+      const text = 'a << [1;2]; "x;y" >> add -- z;\nb';
+      expect(splitStatements(text).length).toBe(2);
+    });
+  });
+
+  describe('findStatementGroup', () => {
+    it('splits groups at blank lines', () => {
+      const text = 'a << osc 1;\na >> add;\n\n0 >> add';
+      expect(findStatementGroup(text, 1)).toEqual({ startRow: 0, endRow: 2 });
+      expect(findStatementGroup(text, 3)).toEqual({ startRow: 3, endRow: 4 });
+      expect(findStatementGroup(text, 2)).toBeNull();
+    });
+
+    it('keeps blank lines inside brackets and after trailing operators', () => {
+      const text = 'fit 1 $ (circle 0 0.1 +:\n\ncircle 0.5 0.1) >> add;\na << osc 1 *\n\n  saw 2;';
+      expect(findStatementGroup(text, 0)).toEqual({ startRow: 0, endRow: 6 });
+    });
+  });
+
+  describe('findStatementAt', () => {
+    const text = 'x1 << osc 1; y1 << osc 2;\n-- note\ncircle [x1,y1] 0.1 >> add;';
+
+    it('finds the statement under the cursor', () => {
+      const found = findStatementAt(text, text.indexOf('y1 <<') + 2);
+      expect(text.slice(found.start, found.end)).toBe('y1 << osc 2');
+    });
+
+    it('leaves out leading comments', () => {
+      const found = findStatementAt(text, text.indexOf('circle') + 3);
+      expect(text.slice(found.start, found.end)).toBe('circle [x1,y1] 0.1 >> add');
+    });
+
+    it('picks the statement just terminated when the cursor is after its semicolon', () => {
+      const found = findStatementAt(text, text.indexOf('\n'));
+      expect(text.slice(found.start, found.end)).toBe('y1 << osc 2');
+    });
+  });
+});
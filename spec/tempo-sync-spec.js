@@ -0,0 +1,39 @@
+'use babel';
+
+import TempoSync from '../lib/sonic/tempo-sync';
+
+describe('TempoSync', () => {
+  let tempoSync;
+
+  beforeEach(() => {
+    tempoSync = new TempoSync();
+  });
+
+  describe('nextBoundary', () => {
+    it('returns null without a tempo model', () => {
+      expect(tempoSync.nextBoundary(10, 1)).toBeNull();
+    });
+
+    describe('with a tempo model', () => {
+      beforeEach(() => {
+        tempoSync._tempoModel = { freq: 0.5, timeSec: 100, count: 10.2 };
+      });
+
+      it('finds the start of the next cycle', () => {
+        expect(tempoSync.nextBoundary(100, 1)).toBeCloseTo(101.6, 6);
+      });
+
+      it('skips to the following boundary when exactly on one', () => {
+        expect(tempoSync.nextBoundary(101.6, 1)).toBeCloseTo(103.6, 6);
+      });
+
+      it('finds the next quarter-cycle beat', () => {
+        expect(tempoSync.nextBoundary(100, 0.25)).toBeCloseTo(100.1, 6);
+      });
+
+      it('finds the next multiple of N cycles', () => {
+        expect(tempoSync.nextBoundary(100, 4)).toBeCloseTo(103.6, 6);
+      });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+'use babel';
+
+import { wavHeader, encodeFrames, HEADER_BYTES } from '../lib/sonic/wav';
+
+describe('wav', () => {
+  it('writes a float header', () => {
+    const header = wavHeader({ sampleRate: 48000, channels: 2, format: 'float32', dataBytes: 800 });
+    expect(header.length).toBe(HEADER_BYTES);
+    expect(header.toString('latin1', 0, 4)).toBe('RIFF');
+    expect(header.readUInt32LE(4)).toBe(836);
+    expect(header.readUInt16LE(20)).toBe(3);
+    expect(header.readUInt32LE(28)).toBe(48000 * 2 * 4);
+    expect(header.readUInt16LE(34)).toBe(32);
+    expect(header.readUInt32LE(40)).toBe(800);
+  });
+
+  it('writes a 16-bit PCM header', () => {
+    const header = wavHeader({ sampleRate: 44100, channels: 1, format: 'int16' });
+    expect(header.readUInt16LE(20)).toBe(1);
+    expect(header.readUInt16LE(32)).toBe(2);
+    expect(header.readUInt16LE(34)).toBe(16);
+  });
+
+  it('interleaves channels', () => {
+    const data = encodeFrames([Float32Array.from([0.5, -0.25]), Float32Array.from([1, 0])], 'float32');
+    expect(data.length).toBe(16);
+    expect([0, 4, 8, 12].map(i => data.readFloatLE(i))).toEqual([0.5, 1, -0.25, 0]);
+  });
+
+  it('clips 16-bit samples', () => {
+    const data = encodeFrames([Float32Array.from([2, -2, 0])], 'int16');
+    expect([0, 2, 4].map(i => data.readInt16LE(i))).toEqual([32767, -32768, 0]);
+  });
+});
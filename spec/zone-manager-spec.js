@@ -0,0 +1,68 @@
+'use babel';
+
+import ZoneManager from '../lib/zone-manager';
+
+describe('ZoneManager', () => {
+  let zones;
+  let nextId;
+
+  const makeEditor = () => {
+    const editor = { id: nextId++, destroy: () => {} };
+    editor.onDidDestroy = (fn) => {
+      editor.destroy = fn;
+      return { dispose: () => {} };
+    };
+    return editor;
+  };
+
+  beforeEach(() => {
+    zones = new ZoneManager();
+    nextId = 1;
+  });
+
+  describe('parseZoneMarker', () => {
+    it('reads a marker on its own line', () => {
+      expect(zones.parseZoneMarker('-- zone 2\ncircle 0 0.1 >> add;')).toBe(2);
+      expect(zones.parseZoneMarker('circle 0 0.1 >> add;\n  --zone: 3')).toBe(3);
+    });
+
+    it('ignores code without a marker', () => {
+      expect(zones.parseZoneMarker('circle 0 0.1 >> add; -- zone 2')).toBeNull();
+      expect(zones.parseZoneMarker(null)).toBeNull();
+    });
+  });
+
+  describe('zoneForEditor', () => {
+    it('gives each editor the lowest free zone and keeps it', () => {
+      const a = makeEditor();
+      const b = makeEditor();
+      expect(zones.zoneForEditor(a)).toBe(0);
+      expect(zones.zoneForEditor(b)).toBe(1);
+      expect(zones.zoneForEditor(a)).toBe(0);
+    });
+
+    it('skips zones claimed by markers', () => {
+      const a = makeEditor();
+      expect(zones.resolve(a, '-- zone 0\nsaw 1 >> audio;')).toBe(0);
+      expect(zones.zoneForEditor(a)).toBe(1);
+      expect(zones.zoneForEditor(makeEditor())).toBe(2);
+    });
+
+    it('keeps the zone of a destroyed editor taken until it is cleared', () => {
+      const a = makeEditor();
+      zones.markActive(zones.zoneForEditor(a), 'a.punc');
+      a.destroy();
+      expect(zones.zoneForEditor(makeEditor())).toBe(1);
+
+      zones.markCleared(0);
+      expect(zones.zoneForEditor(makeEditor())).toBe(0);
+    });
+  });
+
+  it('lists active zones in ascending order', () => {
+    zones.markActive(3, 'c');
+    zones.markActive(1, 'a');
+    expect(zones.getActiveZones()).toEqual([1, 3]);
+    expect(zones.getLabel(3)).toBe('c');
+  });
+});